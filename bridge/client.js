@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * FrameTape Bridge Client
+ *
+ * Calls window.__AI_DEBUG__ in a page through bridge/relay.js.
+ *
+ *   const { FrameTapeClient } = require('./bridge/client');
+ *   const client = await FrameTapeClient.connect();       // ws://127.0.0.1:9229/client, $FRAMETAPE_TOKEN
+ *   await client.api.setMode('ai');
+ *   await client.api.step(10);                            // plain await, no stepSync()
+ *   await client.api.input.pressKey('ArrowUp');
+ *   client.on('breakpoint', hit => console.log(hit));
+ *   await client.subscribe(['breakpoint', 'jsError', 'paused']);
+ *   client.close();
+ *
+ * From a shell, with the token the relay printed in FRAMETAPE_TOKEN (or --token):
+ *
+ *   node bridge/client.js getSummary
+ *   node bridge/client.js step 5
+ *   node bridge/client.js pauseWhen '"score > 3"'
+ *   node bridge/client.js --listen frame,jsError     # print notifications
+ */
+'use strict';
+
+const { EventEmitter } = require('events');
+const { connect } = require('./websocket');
+
+const DEFAULT_URL = 'ws://127.0.0.1:9229/client';
+
+/**
+ * Turns property access into method paths: api.input.pressKey('x') calls
+ * "input.pressKey". `then` is left undefined so the proxy isn't awaited as
+ * a Promise.
+ */
+function methodProxy(client, path) {
+  return new Proxy(function () {}, {
+    get(target, prop) {
+      if (typeof prop !== 'string' || prop === 'then') return undefined;
+      return methodProxy(client, path ? `${path}.${prop}` : prop);
+    },
+    apply(target, thisArg, args) {
+      return client.call(path, ...args);
+    },
+  });
+}
+
+/**
+ * Page notifications are emitted by name without the "frametape." prefix:
+ * 'frame', 'jsError', 'breakpoint', 'violation', 'paused', 'hello'.
+ * Every notification is also emitted as 'notification' ({ method, params }).
+ */
+class FrameTapeClient extends EventEmitter {
+  /** options.token defaults to $FRAMETAPE_TOKEN; it is sent as ?token= */
+  static async connect(url, options) {
+    const target = new URL(url || DEFAULT_URL);
+    const token = (options && options.token) || process.env.FRAMETAPE_TOKEN;
+    if (token) target.searchParams.set('token', token);
+    const connection = await connect(target.href);
+    return new FrameTapeClient(connection, options);
+  }
+
+  constructor(connection, options) {
+    super();
+    this.connection = connection;
+    this.timeout = (options && options.timeout) || 60000;
+    this.pending = new Map();      // id → { resolve, reject, timer }
+    this.nextId = 1;
+    this.api = methodProxy(this, '');
+
+    connection.on('message', text => this.receive(text));
+    connection.on('error', err => this.emit('connectionError', err));
+    connection.on('close', () => {
+      this.pending.forEach(request => {
+        clearTimeout(request.timer);
+        request.reject(new Error('Connection to the relay closed'));
+      });
+      this.pending.clear();
+      this.emit('close');
+    });
+  }
+
+  /** Calls an API method by name ("step", "input.click") with positional params */
+  call(method, ...params) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Timed out after ${this.timeout}ms waiting for ${method}`));
+      }, this.timeout);
+      this.pending.set(id, { resolve, reject, timer });
+      this.connection.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+    });
+  }
+
+  /** Chooses the pushed events: 'frame', 'jsError', 'breakpoint', 'violation', 'paused' */
+  subscribe(events) {
+    return this.call('bridge.subscribe', events);
+  }
+
+  listMethods() {
+    return this.call('bridge.listMethods');
+  }
+
+  status() {
+    return this.call('relay.status');
+  }
+
+  close() {
+    this.connection.close();
+  }
+
+  receive(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      return;
+    }
+    if (message.method) {
+      this.emit('notification', message);
+      this.emit(message.method.replace(/^frametape\./, ''), message.params);
+      return;
+    }
+    const request = this.pending.get(message.id);
+    if (!request) return;
+    this.pending.delete(message.id);
+    clearTimeout(request.timer);
+    if (message.error) {
+      const err = new Error(message.error.message);
+      err.code = message.error.code;
+      request.reject(err);
+    } else {
+      request.resolve(message.result);
+    }
+  }
+}
+
+// Shell arguments are JSON when they parse as JSON, strings otherwise
+function parseParam(arg) {
+  try {
+    return JSON.parse(arg);
+  } catch (e) {
+    return arg;
+  }
+}
+
+async function main(argv) {
+  let url = DEFAULT_URL;
+  const rest = [];
+  let listen = null;
+  let token;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--url') url = argv[++i];
+    else if (argv[i] === '--token') token = argv[++i];
+    else if (argv[i] === '--listen') listen = (argv[i + 1] && !argv[i + 1].startsWith('--')) ? argv[++i] : 'frame,jsError,breakpoint,violation,paused';
+    else rest.push(argv[i]);
+  }
+  if (!listen && rest.length === 0) {
+    console.error('Usage: node bridge/client.js [--url ws://127.0.0.1:9229/client] [--token t] <method> [params...]');
+    console.error('       node bridge/client.js --listen [events]');
+    process.exitCode = 2;
+    return;
+  }
+
+  const client = await FrameTapeClient.connect(url, { token });
+  if (listen) {
+    client.on('notification', message => console.log(JSON.stringify(message)));
+    await client.subscribe(listen.split(','));
+    return;
+  }
+  try {
+    const result = await client.call(rest[0], ...rest.slice(1).map(parseParam));
+    console.log(JSON.stringify(result, null, 2));
+  } catch (e) {
+    console.error(`Error${e.code !== undefined ? ` ${e.code}` : ''}: ${e.message}`);
+    process.exitCode = 1;
+  } finally {
+    client.close();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(function (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { FrameTapeClient, DEFAULT_URL };
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * FrameTape Bridge Relay
+ *
+ * Connects a page running frametape.js to any number of agents on localhost.
+ *
+ *   node bridge/relay.js [--port 9229] [--host 127.0.0.1] [--allow-origin https://app.test] [--token secret]
+ *
+ *   ws://host:port/page    — the page (connectBridge() or ?frametape-bridge)
+ *   ws://host:port/client  — agents speaking JSON-RPC 2.0 (see client.js)
+ *   POST http://host:port/rpc — one JSON-RPC request per HTTP call (curl)
+ *   GET  http://host:port/     — relay status
+ *
+ * Requests go to the most recently connected page; request ids are
+ * rewritten so several clients can't collide. Notifications from the page
+ * are broadcast to every client.
+ *
+ * Anything that reaches the relay could drive the page, so:
+ *   - clients (/client, /rpc, status) must present the relay's token, given
+ *     with --token or generated and printed at startup;
+ *   - the Host header must be a loopback name or an IP address, which keeps
+ *     DNS-rebound sites out;
+ *   - browsers send an Origin with every WebSocket and cross-origin POST, and
+ *     only loopback origins (http://localhost:*, http://127.0.0.1:*) and
+ *     those passed with --allow-origin are accepted.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { acceptUpgrade } = require('./websocket');
+
+const DEFAULT_PORT = 9229;
+const DEFAULT_HOST = '127.0.0.1';
+const HTTP_TIMEOUT = 60000;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id: id === undefined ? null : id, error: { code, message } };
+}
+
+function isLoopbackOrigin(origin) {
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (e) {
+    return false;
+  }
+  return (url.protocol === 'http:' || url.protocol === 'https:') && isLoopbackHost(url.hostname);
+}
+
+function isLoopbackHost(hostname) {
+  return LOOPBACK_HOSTS.includes(hostname) || hostname.endsWith('.localhost') || /^127\./.test(hostname);
+}
+
+// A site can point its own domain at 127.0.0.1 (DNS rebinding) and then
+// talk to the relay as same-origin; its requests still carry that domain
+// in Host. Loopback names and IP addresses can't be rebound.
+function hostAllowed(host) {
+  let url;
+  try {
+    url = new URL(`http://${host}`);
+  } catch (e) {
+    return false;
+  }
+  return isLoopbackHost(url.hostname) || /^[\d.]+$/.test(url.hostname) || url.hostname.startsWith('[');
+}
+
+// From `Authorization: Bearer <token>` or, for WebSockets, `?token=`
+function requestToken(req) {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7);
+  return new URL(req.url, 'http://relay').searchParams.get('token');
+}
+
+function tokenMatches(given, token) {
+  if (typeof given !== 'string' || given.length !== token.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(given), Buffer.from(token));
+}
+
+function createRelay(options) {
+  options = options || {};
+  const log = options.log || function () {};
+  const allowedOrigins = options.allowedOrigins || [];   // besides loopback ones
+  const token = options.token || crypto.randomBytes(16).toString('hex');
+  const pages = [];                // open page connections, newest last
+  const clients = new Set();
+  const pending = new Map();       // relay id → { page, id, reply }
+  let pageInfo = null;             // params of the last frametape.hello
+  let nextId = 1;
+
+  // No Origin: not a browser page (Node client, curl)
+  function originAllowed(origin) {
+    return origin === undefined || allowedOrigins.includes(origin) || isLoopbackOrigin(origin);
+  }
+
+  function currentPage() {
+    return pages[pages.length - 1] || null;
+  }
+
+  function status() {
+    return { pages: pages.length, page: pageInfo, clients: clients.size, pending: pending.size };
+  }
+
+  // Routes one request from a client (WebSocket or HTTP); reply(message)
+  // receives the response with the client's original id
+  function route(request, reply) {
+    if (!request || typeof request.method !== 'string') {
+      reply(rpcError(request && request.id, -32600, 'Invalid request'));
+      return;
+    }
+    if (request.method === 'relay.status') {
+      reply({ jsonrpc: '2.0', id: request.id, result: status() });
+      return;
+    }
+    const page = currentPage();
+    if (!page) {
+      reply(rpcError(request.id, -32001, 'No page connected to the relay'));
+      return;
+    }
+    if (request.id === undefined || request.id === null) {
+      page.send(JSON.stringify(request));
+      return;
+    }
+    const relayId = nextId++;
+    pending.set(relayId, { page, id: request.id, reply });
+    page.send(JSON.stringify(Object.assign({}, request, { id: relayId })));
+  }
+
+  function onPageMessage(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      return;
+    }
+    if (message.id !== undefined && message.id !== null && !message.method) {
+      const request = pending.get(message.id);
+      if (!request) return;
+      pending.delete(message.id);
+      request.reply(Object.assign({}, message, { id: request.id }));
+      return;
+    }
+    if (message.method === 'frametape.hello') {
+      pageInfo = message.params;
+      log(`page connected: ${pageInfo && pageInfo.url}`);
+    }
+    clients.forEach(client => client.send(text));
+  }
+
+  function addPage(connection) {
+    pages.push(connection);
+    connection.on('message', onPageMessage);
+    connection.on('error', () => {});
+    connection.on('close', function () {
+      pages.splice(pages.indexOf(connection), 1);
+      pending.forEach(function (request, relayId) {
+        if (request.page !== connection) return;
+        pending.delete(relayId);
+        request.reply(rpcError(request.id, -32002, 'Page disconnected'));
+      });
+      if (pages.length === 0) pageInfo = null;
+      log('page disconnected');
+    });
+  }
+
+  function addClient(connection) {
+    clients.add(connection);
+    connection.on('error', () => {});
+    connection.on('close', () => clients.delete(connection));
+    connection.on('message', function (text) {
+      const reply = message => connection.send(JSON.stringify(message));
+      let request;
+      try {
+        request = JSON.parse(text);
+      } catch (e) {
+        reply(rpcError(null, -32700, 'Parse error'));
+        return;
+      }
+      route(request, reply);
+    });
+  }
+
+  // Why a request may not reach the page, or null
+  function refusal(req, needsToken) {
+    if (!hostAllowed(req.headers.host)) return `Host ${req.headers.host} is not allowed`;
+    const origin = req.headers.origin;
+    if (!originAllowed(origin)) return `Origin ${origin} is not allowed (start the relay with --allow-origin ${origin})`;
+    if (needsToken && !tokenMatches(requestToken(req), token)) return 'Missing or wrong relay token';
+    return null;
+  }
+
+  // No CORS headers: HTTP is for agents and curl; pages use the WebSocket
+  function handleHttp(req, res) {
+    const send = function (code, body) {
+      res.writeHead(code, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    const refused = refusal(req, true);
+    if (refused) {
+      log(`rejected HTTP request: ${refused}`);
+      send(403, { error: refused });
+      return;
+    }
+    const path = req.url.split('?')[0];
+    if (req.method === 'GET' && path === '/') {
+      send(200, status());
+      return;
+    }
+    if (req.method !== 'POST' || path !== '/rpc') {
+      send(404, { error: 'Use POST /rpc, or WebSocket /page and /client' });
+      return;
+    }
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', function () {
+      let request;
+      try {
+        request = JSON.parse(body);
+      } catch (e) {
+        send(400, rpcError(null, -32700, 'Parse error'));
+        return;
+      }
+      if (request.id === undefined || request.id === null) request.id = 'http';
+      let done = false;
+      const timer = setTimeout(function () {
+        done = true;
+        send(504, rpcError(request.id, -32003, 'Timed out waiting for the page'));
+      }, HTTP_TIMEOUT);
+      route(Object.assign({ jsonrpc: '2.0' }, request), function (message) {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        send(200, message);
+      });
+    });
+  }
+
+  const server = http.createServer(handleHttp);
+  server.on('upgrade', function (req, socket, head) {
+    const path = req.url.split('?')[0];
+    if (path !== '/page' && path !== '/client') {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    // The page side needs no token: it only answers what clients send
+    const refused = refusal(req, path === '/client');
+    if (refused) {
+      log(`rejected ${path} connection: ${refused}`);
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+    const connection = acceptUpgrade(req, socket, head);
+    if (!connection) return;
+    if (path === '/page') addPage(connection);
+    else addClient(connection);
+  });
+
+  return {
+    server,
+    token,
+    status,
+    listen(port, host) {
+      return new Promise(function (resolve) {
+        server.listen(port === undefined ? DEFAULT_PORT : port, host || DEFAULT_HOST, () => resolve(server.address()));
+      });
+    },
+    close() {
+      pages.concat(Array.from(clients)).forEach(connection => connection.close());
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
+
+function parseArgs(argv) {
+  const args = { port: DEFAULT_PORT, host: DEFAULT_HOST, allowedOrigins: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = Number(argv[++i]);
+    else if (argv[i] === '--host') args.host = argv[++i];
+    else if (argv[i] === '--allow-origin') args.allowedOrigins.push(argv[++i]);
+    else if (argv[i] === '--token') args.token = argv[++i];
+  }
+  return args;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const relay = createRelay({
+    allowedOrigins: args.allowedOrigins,
+    token: args.token,
+    log: message => console.log(`[relay] ${message}`),
+  });
+  relay.listen(args.port, args.host).then(function (address) {
+    console.log(`FrameTape relay listening on ${address.address}:${address.port}`);
+    console.log(`  page:   ws://${args.host}:${address.port}/page`);
+    console.log(`  client: ws://${args.host}:${address.port}/client`);
+    console.log(`  http:   POST http://${args.host}:${address.port}/rpc`);
+    console.log(`  token:  ${relay.token}  (export FRAMETAPE_TOKEN=${relay.token} for client.js)`);
+  });
+}
+
+module.exports = { createRelay, DEFAULT_PORT };
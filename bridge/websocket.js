@@ -0,0 +1,247 @@
+/**
+ * FrameTape Bridge — minimal WebSocket (RFC 6455) for Node
+ *
+ * Just enough of the protocol for the relay and client to talk to each other
+ * and to browsers on localhost: text messages, fragmentation, ping/pong and
+ * close. No TLS (ws:// only), no extensions. Keeps bridge/ dependency-free.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024 * 1024;  // bytes per message; larger ones close the connection with 1009
+const PROTOCOL_ERROR = 1002;
+const TOO_BIG = 1009;
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+};
+
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + GUID).digest('base64');
+}
+
+/**
+ * One open WebSocket. Emits 'message' (string), 'close' and 'error'.
+ * Clients must mask the frames they send; servers must not. A frame masked
+ * the wrong way closes the connection with 1002.
+ */
+class Connection extends EventEmitter {
+  constructor(socket, options) {
+    super();
+    this.socket = socket;
+    this.mask = !!(options && options.mask);
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null;
+    this.closing = false;          // our close frame is sent; nothing more is written
+    this.closed = false;
+
+    socket.setNoDelay(true);
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('error', err => this.emit('error', err));
+    socket.on('close', () => {
+      if (this.closed) return;
+      this.closed = true;
+      this.emit('close');
+    });
+  }
+
+  send(text) {
+    this.write(OPCODES.text, Buffer.from(String(text), 'utf8'));
+  }
+
+  // Sends a close frame once and ends the socket. When the peer closed
+  // first, this is the echo that completes the handshake.
+  close(code) {
+    if (this.closed || this.closing) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code || 1000, 0);
+    this.write(OPCODES.close, payload);
+    this.closing = true;
+    this.socket.end();
+  }
+
+  write(opcode, payload) {
+    if (this.closing || this.socket.destroyed || this.socket.writableEnded) return;
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+      header = Buffer.alloc(2);
+      header[1] = length;
+    } else if (length < 65536) {
+      header = Buffer.alloc(4);
+      header[1] = 126;
+      header.writeUInt16BE(length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode;
+
+    if (!this.mask) {
+      this.socket.write(Buffer.concat([header, payload]));
+      return;
+    }
+    header[1] |= 0x80;
+    const key = crypto.randomBytes(4);
+    const masked = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) masked[i] = payload[i] ^ key[i % 4];
+    this.socket.write(Buffer.concat([header, key, masked]));
+  }
+
+  receive(chunk) {
+    if (this.closing) return;
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (!this.closing) {
+      const frame = this.readFrame();
+      if (!frame) return;
+      if (frame.error) {
+        this.fail(frame.error);
+        return;
+      }
+      this.handleFrame(frame);
+    }
+  }
+
+  // Stops reading and closes with `code`
+  fail(code) {
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null;
+    this.close(code);
+  }
+
+  // Parses one frame off the buffer, or returns null if it isn't complete
+  // and { error: closeCode } if it can't be accepted
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) return null;
+    let offset = 2;
+    let length = buffer[1] & 0x7f;
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    const masked = (buffer[1] & 0x80) !== 0;
+    // We mask as a client, so the peer is a server, which must not (and the
+    // other way round)
+    if (masked === this.mask) return { error: PROTOCOL_ERROR };
+    const fragmentsLength = this.fragments ? this.fragments.reduce((sum, f) => sum + f.length, 0) : 0;
+    if (length + fragmentsLength > MAX_PAYLOAD) return { error: TOO_BIG };
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+    this.buffer = buffer.subarray(offset + length);
+    return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, payload };
+  }
+
+  handleFrame(frame) {
+    switch (frame.opcode) {
+      case OPCODES.text:
+      case OPCODES.binary:
+        if (frame.fin) {
+          this.emit('message', frame.payload.toString('utf8'));
+        } else {
+          this.fragments = [frame.payload];
+        }
+        break;
+      case OPCODES.continuation:
+        if (!this.fragments) break;
+        this.fragments.push(frame.payload);
+        if (frame.fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = null;
+          this.emit('message', message);
+        }
+        break;
+      case OPCODES.ping:
+        this.write(OPCODES.pong, frame.payload);
+        break;
+      case OPCODES.close:
+        this.close(frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1000);
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * Completes a server-side handshake for an http 'upgrade' event.
+ * Returns the Connection, or null if the request wasn't a WebSocket upgrade.
+ */
+function acceptUpgrade(req, socket, head) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`
+  );
+  const connection = new Connection(socket, { mask: false });
+  if (head && head.length > 0) connection.receive(head);
+  return connection;
+}
+
+/**
+ * Opens a client connection to a ws:// URL.
+ * @returns {Promise<Connection>}
+ */
+function connect(url) {
+  return new Promise(function (resolve, reject) {
+    const target = new URL(url);
+    if (target.protocol !== 'ws:') {
+      reject(new Error(`Only ws:// URLs are supported, got ${target.protocol}`));
+      return;
+    }
+    const key = crypto.randomBytes(16).toString('base64');
+    const req = http.request({
+      host: target.hostname,
+      port: target.port || 80,
+      path: target.pathname + target.search,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13',
+      },
+    });
+    req.on('upgrade', function (res, socket, head) {
+      if (res.headers['sec-websocket-accept'] !== acceptKey(key)) {
+        socket.destroy();
+        reject(new Error('Invalid WebSocket handshake response'));
+        return;
+      }
+      const connection = new Connection(socket, { mask: true });
+      if (head && head.length > 0) connection.receive(head);
+      resolve(connection);
+    });
+    req.on('response', res => reject(new Error(`Expected a WebSocket upgrade, got HTTP ${res.statusCode}`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+module.exports = { Connection, acceptUpgrade, connect };
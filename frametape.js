@@ -5,25 +5,150 @@
  * Provides window.__AI_DEBUG__ API for AI-driven debugging of web applications.
  * Features:
  *   - Frame Controller: pause, step, slow-motion control over requestAnimationFrame
- *   - FrameTape: per-frame state recording with timestamps and performance metrics
- *   - Film Strip: visual capture of canvas frames for temporal context
+ *   - FrameTape: per-frame state recording (keyframes + diffs) with timestamps and performance metrics
+ *   - State Serialization: Map/Set/Date/typed arrays/cycles, custom class serializers, redaction, size budget
+ *   - Store Adapters: Redux, Zustand and MobX as state providers, with per-frame action logs
+ *   - Tape Queries: filter, project and aggregate frames without fetching the whole tape
+ *   - Film Strip: visual capture of canvas layers, full-size images of recent frames
+ *   - Visual Regression: golden frames with pixel diff reports
+ *   - DOM Capture: per-frame DOM changes and snapshots for non-canvas UIs
  *   - Debug Panel: overlay showing state, events, film strip, and metrics
- *   - Event Recording: logs keyboard, mouse, and custom events
+ *   - Event Recording: logs keyboard, mouse, pointer, touch, wheel, form, focus, window and gamepad input
+ *   - Errors: stacks, console.error/warn per frame, grouped repeats, context bundles around an error
+ *   - Network: logs fetch/XHR/WebSocket traffic per frame, stubs responses for offline replay
+ *   - Virtual Clock: timers, performance.now and Date.now advance only with frames
+ *   - Time Travel: rewind to recorded frames and branch "what if" timelines
+ *   - Breakpoints: auto-pause on state conditions, runUntil(), live watches
+ *   - Invariants: per-frame state checks with violations recorded on the tape
+ *   - Profiler: per-callback/handler timing, long frames, marks and measures
+ *   - Seeded Random: Math.random and crypto from named streams, RNG position recorded per frame
+ *   - Sessions: export seed + initial state + inputs, replay and verify the tape
+ *   - Test Generation: turn a tape segment into a Node/jsdom or Playwright regression test
+ *   - Input Injection: queue keys, clicks and drags for exact frames
+ *   - Tape Export: versioned JSON/NDJSON tapes, viewable offline in tape-viewer.html
+ *   - Persistence: rolling tape snapshots in sessionStorage/IndexedDB that survive crashes and reloads
+ *   - Remote Bridge: the whole API as JSON-RPC over WebSocket or postMessage (bridge/)
+ *   - Headless: runs under jsdom in Node with a manual frame driver (headless/)
+ *   - Plugins: use(plugin) hooks into frames, input, errors, records and the panel
+ *
+ * Loaded with a <script> tag, it instruments the page right away. Loaded as a
+ * module (require() here, or dist/ after `node scripts/build.js`), nothing is
+ * patched until createFrameTape() is called:
+ *
+ *   const { createFrameTape } = require('./frametape.js');
+ *   const debug = createFrameTape({ window: iframe.contentWindow, plugins: [myPlugin] });
  */
-(function () {
+(function (root, instrument) {
   'use strict';
 
+  // An instance patches the globals of the window it instruments: rAF,
+  // timers, EventTarget, fetch, console... A window therefore has at most one
+  // instance, kept at window.__AI_DEBUG__. For another window (an iframe, or
+  // jsdom in Node) the factory is compiled in that window's realm, so its
+  // globals and instanceof checks (Map, Node, Error...) are that window's own.
+  function createFrameTape(options) {
+    options = options || {};
+    const target = options.window || root;
+    if (!target || !target.document) {
+      throw new Error('FrameTape needs a window: createFrameTape({ window })');
+    }
+    const api = target.__AI_DEBUG__ ? configure(target.__AI_DEBUG__, options) : instantiate(target, options);
+    if (options.bridge) connectBridgeFromUrl(api, target, options.bridge);
+    return api;
+  }
+
+  function instantiate(target, options) {
+    if (target === root) return instrument(options);
+    // A window that shares our Function (jsdom without runScripts) or has no
+    // eval can't run the factory as its own
+    if (typeof target.eval !== 'function' || typeof target.Function !== 'function' || target.Function === Function) {
+      throw new Error("FrameTape can't run in that window (it doesn't run scripts; for jsdom, pass runScripts: 'outside-only')");
+    }
+    let compiled;
+    try {
+      compiled = new target.Function(`return (${instrument.toString()});`)();
+    } catch (e) {
+      throw new Error(`FrameTape can't run in that window (${e.message}); load frametape.js there instead`);
+    }
+    return compiled(options);
+  }
+
+  // Options for a window that already has an instance; a new instance
+  // applies them itself while loading
+  function configure(api, options) {
+    if (options.config) api.setConfig(options.config);
+    (options.plugins || []).forEach(function (plugin) {
+      const result = api.use(plugin);
+      if (!result.used) throw new Error(`FrameTape: ${result.error}`);
+    });
+    return api;
+  }
+
+  // The bridge exposes the whole API, so ?frametape-bridge (or
+  // ?frametape-bridge=ws://host:port/page) only connects pages that opt in
+  // with createFrameTape({ bridge }), and only to this machine or the
+  // page's own host
+  function connectBridgeFromUrl(api, target, bridgeOptions) {
+    const param = new target.URLSearchParams(target.location.search).get('frametape-bridge');
+    if (param === null || (param && !isLocalBridgeUrl(param, target.location))) return;
+    const connectOptions = Object.assign({}, bridgeOptions === true ? {} : bridgeOptions);
+    if (param) connectOptions.url = param;
+    api.connectBridge(connectOptions);
+  }
+
+  function isLocalBridgeUrl(url, location) {
+    let host;
+    try {
+      host = new URL(url, location.href).hostname;
+    } catch (e) {
+      return false;
+    }
+    return host === location.hostname || host === 'localhost' || host === '[::1]' || /^127\./.test(host);
+  }
+
+  const FrameTape = { createFrameTape };
+  if (typeof module === 'object' && module && module.exports) {
+    module.exports = FrameTape;
+  } else {
+    root.FrameTape = FrameTape;
+    createFrameTape();
+  }
+})(typeof window !== 'undefined' ? window : this, function instrument(instanceOptions) {
+  'use strict';
+
+  const VERSION = '1.0.0';
+  const TAPE_FORMAT_VERSION = 1;      // bump on incompatible tape format changes
+
   // ============================================================
   // Configuration
   // ============================================================
   const CONFIG = {
     maxTapeLength: 500,       // max frames to keep in tape
+    keyframeInterval: 30,     // store a full state every N frames, diffs in between
     filmStripFrames: 12,      // number of thumbnails in film strip
     filmStripWidth: 120,      // thumbnail width in px
     filmStripHeight: 120,     // thumbnail height in px
     filmStripCaptureEvery: 1, // capture every N frames
-    debugPanelWidth: 320,     // debug panel width in px
+    frameImageBuffer: 10,     // recent frames kept at full size for getFrameImage() (0 = off)
+    debugPanelWidth: 320,     // debug panel width in px (docked left or right)
+    debugPanelHeight: 260,    // debug panel height in px (docked at the bottom)
     defaultSlowMotionFPS: 2,  // default slow-mo FPS
+    virtualFrameDelta: 1000 / 60, // simulated ms per frame when virtual clock is on
+    pauseOnViolation: false,  // pause when an invariant starts failing
+    frameBudget: 16.7,        // script ms per frame before a frame is flagged as long
+    profileHandlerLimit: 50,  // listener timings kept per frame; the rest are summed in moreHandlers
+    networkBodyPreview: 1000, // chars of request/response bodies kept in the network log
+    domMutationLimit: 100,    // DOM changes kept per frame (registerRoot)
+    domSnapshotLimit: 200,    // DOM snapshots kept for getDomSnapshot()
+    domSnapshotMaxLength: 100000, // chars of HTML kept per DOM snapshot
+    stateMaxLength: 500000,   // chars of JSON per recorded state; larger branches are cut (0 = no limit)
+    redactPaths: [],          // state paths recorded as { $type: 'Redacted' }, e.g. 'auth.token', 'users.*.password'
+    consoleMessageLength: 1000, // chars kept per captured console.error/warn message
+    actionPayloadLength: 1000, // chars of JSON per logged store action payload
+    actionChangeLimit: 20,    // changed paths listed per logged store action
+    persistFrames: 300,       // newest frames kept by enablePersistence()
+    persistEvery: 30,         // frames between persisted snapshots
+    persistMaxLength: 1000000, // chars of JSON per persisted snapshot
   };
 
   // ============================================================
@@ -42,296 +167,4752 @@
   let pendingEvents = [];          // events since last frame
   let stateProvider = null;        // function that returns app state
   let stateInjector = null;        // function that sets app state
-  let sourceCanvas = null;         // the canvas to capture for film strip
+  let serializers = [];            // { type, name, serialize, deserialize } (see registerSerializer)
+  let canvases = [];               // { name, canvas, filmStrip } in registration order
+  let frameImages = [];            // { frame, layers: Map name → { image, box } }, newest last
+  let imagePool = [];              // released copies, reused to avoid reallocating
+  let captureError = null;         // last failed capture { canvas, message, frame }
+  let goldens = new Map();         // name → { frame, canvas, width, height, data, dataUrl }
+  let bridge = null;               // remote control connection (see connectBridge)
+  let domRoot = null;              // element observed for DOM changes (see registerRoot)
+  let domObserver = null;
+  let pendingMutations = [];       // MutationRecords since last frame
+  let droppedMutations = 0;        // MutationRecords past the buffer limit since last frame
+  let domSnapshots = [];           // { frame, html } for frames that changed the DOM
   let debugPanelEl = null;
+  let panelLayout = null;          // { dock, width, height, collapsed }, kept in localStorage
+  let panelPreviewFrame = null;    // frame shown by the timeline scrubber (null = live)
+  let panelExpanded = new Set();   // open state tree nodes, by JSON path
+  let panelEditing = false;        // an inline state editor is open
+  let panelTreeKey = null;         // what the state tree last rendered
   let randomSeed = null;
   let originalRAF = null;
   let originalSetTimeout = null;
   let originalSetInterval = null;
+  let originalClearTimeout = null;
+  let originalClearInterval = null;
   let rafCallbacks = [];           // queued rAF callbacks
   let rafIdCounter = 0;
+  let frameRequested = false;      // a native rAF tick is already scheduled
   let isRunningFrame = false;
+  let runningFrame = 0;            // number of the frame being executed
   let frameResolve = null;         // resolve function for step() promise
   let lastSlowMotionTime = 0;
-  let jsErrors = [];
+  let jsErrors = [];               // newest 200 errors
+  let errorsDropped = 0;           // errors trimmed off the front of jsErrors
+  let errorGroups = new Map();     // signature → group, kept up to date by recordError
+  let virtualClock = false;        // timers and time sources follow executed frames
+  let virtualTime = 0;             // current simulated performance.now() value
+  let virtualDateBase = 0;         // Date.now() offset from virtualTime
+  let virtualFrameDelta = 0;       // ms added to virtualTime per executed frame
+  let virtualTimers = [];          // pending { id, callback, args, due, interval, frame }
+  let virtualTimerIdCounter = 1000000; // kept apart from native timer ids
+  let migratedTimers = new Map();  // virtual id → native id after disableVirtualClock()
+  let currentBranch = 'main';      // name of the timeline being recorded
+  let branches = new Map();        // name → saved timeline (see saveTimeline)
+  let breakpoints = [];            // { id, label, test, once }
+  let breakpointIdCounter = 0;
+  let breakpointHits = [];         // { id, label, frame, timestamp }
+  let watches = [];                // { id, label, read }
+  let watchIdCounter = 0;
+  let invariants = [];             // { name, test, failing, violationCount }
+  let invariantViolations = [];    // recent { name, message, frame, timestamp }
+  let violationCount = 0;          // total violations since load/reset
+  let queuedInputs = [];           // synthetic { dispatchAt, event } waiting for their frame
+  let loggedEvents = new WeakSet(); // events already logged by another listener
+  let eventCapture = { types: new Set(), targets: null, selector: null }; // see setEventCapture
+  let gamepadStates = [];          // last polled state per gamepad index, as JSON
+  let session = null;              // active input recording (see startSession)
+  let activeReplay = null;         // replay in progress (see replaySession)
+  let recordStorage = new WeakMap(); // frame record → { prev, keyframe, delta, depth }
+  let lastStored = null;           // { record, state } — full state of the newest record
+  let materialized = null;         // { record, state } — last state rebuilt from deltas
+  let lastChangedKeys = new Set(); // top-level state keys changed by the last frame
+  let pendingProfile = newProfile(); // timings collected for the frame in progress
+  let longFrameCount = 0;
+  let networkLog = [];             // recent requests, responses and socket messages
+  let pendingNetwork = [];         // network entries since last frame
+  let networkIdCounter = 0;
+  let networkStubs = [];           // { rule, used } — see stubNetwork()
+  let networkPassthrough = true;   // unstubbed requests reach the real network
+  let stubDeliveries = [];         // stubbed responses waiting for { due } frame
+  let consoleLog = [];             // recent console.error/warn calls
+  let pendingConsole = [];         // console entries since last frame
+  let storeAdapter = null;         // { name, disconnect, provider, previous } of the store from connectRedux() etc.
+  let pendingActions = [];         // store actions since last frame
+  let plugins = [];                // plugin objects from use(), in order
+  let persistence = null;          // rolling tape snapshot settings (see enablePersistence)
+  let previousTapes = new Map();   // storage → Promise of the text the last page load left
+
+  function newProfile() {
+    return { callbacks: [], handlers: [], timers: [], marks: [], measures: [] };
+  }
 
   // ============================================================
   // Seeded Random (Mulberry32)
   // ============================================================
-  function mulberry32(a) {
-    return function () {
-      a |= 0; a = a + 0x6D2B79F5 | 0;
-      var t = Math.imul(a ^ a >>> 15, 1 | a);
-      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
-      return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    };
+  // Every random source draws from a named stream: Math.random from
+  // 'Math.random', crypto.getRandomValues/randomUUID from 'crypto', and apps
+  // from their own via getRandomStream(name). A stream's whole state is one
+  // 32-bit integer, so getRandomState() captures the exact position of all of
+  // them and setRandomState() puts them back.
+  const MATH_STREAM = 'Math.random';
+  const CRYPTO_STREAM = 'crypto';
+  const originalMathRandom = Math.random;
+  const nativeCrypto = window.crypto || null;
+  const originalGetRandomValues = nativeCrypto && nativeCrypto.getRandomValues;
+  const originalRandomUUID = nativeCrypto && nativeCrypto.randomUUID;
+
+  let randomStreams = new Map();   // stream name → { position }, created on first draw
+
+  // Advances the stream and returns a float in [0, 1)
+  function mulberry32(stream) {
+    const a = stream.position = stream.position + 0x6D2B79F5 | 0;
+    var t = Math.imul(a ^ a >>> 15, 1 | a);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
   }
 
-  let seededRandom = null;
-  const originalMathRandom = Math.random;
+  // Math.random starts at the seed itself, so seeded runs match earlier
+  // versions; other streams mix in a hash of their name (FNV-1a)
+  function streamStart(name) {
+    if (name === MATH_STREAM) return randomSeed | 0;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < name.length; i++) {
+      hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193);
+    }
+    return (randomSeed ^ hash) | 0;
+  }
+
+  function nextRandom(name) {
+    let stream = randomStreams.get(name);
+    if (!stream) {
+      stream = { position: streamStart(name) };
+      randomStreams.set(name, stream);
+    }
+    return mulberry32(stream);
+  }
+
+  function seededMathRandom() {
+    return nextRandom(MATH_STREAM);
+  }
+
+  // Float arrays, DataViews and oversized requests go to the native method,
+  // which throws for them
+  function seededGetRandomValues(array) {
+    if (!ArrayBuffer.isView(array) || array instanceof DataView || array instanceof Float32Array ||
+        array instanceof Float64Array || array.byteLength > 65536) {
+      return originalGetRandomValues.call(nativeCrypto, array);
+    }
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = Math.floor(nextRandom(CRYPTO_STREAM) * 256);
+    }
+    return array;
+  }
+
+  // Version 4 UUID from 16 bytes of the crypto stream
+  function seededRandomUUID() {
+    const bytes = seededGetRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  function installRandom(seeded) {
+    Math.random = seeded ? seededMathRandom : originalMathRandom;
+    if (!nativeCrypto) return;
+    try {
+      if (originalGetRandomValues) nativeCrypto.getRandomValues = seeded ? seededGetRandomValues : originalGetRandomValues;
+      if (originalRandomUUID) nativeCrypto.randomUUID = seeded ? seededRandomUUID : originalRandomUUID;
+    } catch (e) {
+      // A locked-down crypto object keeps its native methods
+    }
+  }
 
   function setRandomSeed(seed) {
     randomSeed = seed;
-    seededRandom = mulberry32(seed);
-    Math.random = seededRandom;
+    randomStreams = new Map();
+    installRandom(true);
   }
 
   function clearRandomSeed() {
     randomSeed = null;
-    seededRandom = null;
-    Math.random = originalMathRandom;
+    randomStreams = new Map();
+    installRandom(false);
+  }
+
+  // Streams that were never drawn from are left out; they start fresh from
+  // the seed either way
+  function getRandomState() {
+    const streams = {};
+    randomStreams.forEach(function (stream, name) {
+      streams[name] = stream.position;
+    });
+    return { seed: randomSeed, streams };
+  }
+
+  function setRandomState(state) {
+    if (!state || typeof state !== 'object' || !('seed' in state)) {
+      return { success: false, error: 'Expected { seed, streams } from getRandomState()' };
+    }
+    if (state.seed === null) {
+      clearRandomSeed();
+    } else {
+      setRandomSeed(state.seed);
+      Object.keys(state.streams || {}).forEach(function (name) {
+        randomStreams.set(name, { position: state.streams[name] | 0 });
+      });
+    }
+    return Object.assign({ success: true }, getRandomState());
+  }
+
+  // A Math.random-like function for one subsystem. Draws from it don't move
+  // Math.random or any other stream; unseeded, it is plain Math.random.
+  function getRandomStream(name) {
+    name = String(name);
+    return function () {
+      return randomSeed === null ? originalMathRandom() : nextRandom(name);
+    };
+  }
+
+  // ============================================================
+  // Virtual Clock
+  // ============================================================
+  // When enabled, setTimeout/setInterval callbacks, performance.now() and
+  // Date.now() only move forward when a frame executes, by a fixed delta.
+  // FrameTape's own scheduling always uses the native timers.
+  originalSetTimeout = window.setTimeout;
+  originalSetInterval = window.setInterval;
+  originalClearTimeout = window.clearTimeout;
+  originalClearInterval = window.clearInterval;
+  const originalPerformanceNow = performance.now;
+  const originalDateNow = Date.now;
+
+  function realNow() {
+    return originalPerformanceNow.call(performance);
+  }
+
+  function enableVirtualClock(frameDelta) {
+    virtualFrameDelta = frameDelta || CONFIG.virtualFrameDelta;
+    if (virtualClock) return;
+    virtualClock = true;
+    virtualTime = realNow();
+    virtualDateBase = originalDateNow.call(Date) - virtualTime;
+    lastFrameTime = virtualTime;
+    performance.now = function () { return virtualTime; };
+    Date.now = function () { return Math.floor(virtualDateBase + virtualTime); };
+  }
+
+  function disableVirtualClock() {
+    if (!virtualClock) return;
+    virtualClock = false;
+    performance.now = originalPerformanceNow;
+    Date.now = originalDateNow;
+    lastFrameTime = realNow();
+
+    // Hand pending timers over to the native timers, keeping their ids valid
+    const pending = virtualTimers;
+    virtualTimers = [];
+    for (const timer of pending) {
+      const remaining = Math.max(0, timer.due - virtualTime);
+      const nativeId = originalSetTimeout.call(window, function () {
+        if (timer.interval === null) {
+          migratedTimers.delete(timer.id);
+        } else {
+          migratedTimers.set(timer.id, originalSetInterval.call(window, function () {
+            timer.callback.apply(window, timer.args);
+          }, timer.interval));
+        }
+        timer.callback.apply(window, timer.args);
+      }, remaining);
+      migratedTimers.set(timer.id, nativeId);
+    }
+  }
+
+  function addVirtualTimer(callback, delay, args, repeat) {
+    const id = ++virtualTimerIdCounter;
+    delay = Math.max(0, Number(delay) || 0);
+    virtualTimers.push({
+      id,
+      callback: typeof callback === 'function' ? callback : new Function(String(callback)),
+      args,
+      due: virtualTime + delay,
+      interval: repeat ? Math.max(1, delay) : null,
+      frame: isRunningFrame ? runningFrame : frameCount + 1, // frame whose state set it
+    });
+    scheduleClockFrame();
+    return id;
+  }
+
+  function clearTimer(id) {
+    const index = virtualTimers.findIndex(t => t.id === id);
+    if (index !== -1) {
+      virtualTimers.splice(index, 1);
+      return true;
+    }
+    if (migratedTimers.has(id)) {
+      const nativeId = migratedTimers.get(id);
+      migratedTimers.delete(id);
+      originalClearTimeout.call(window, nativeId);
+      originalClearInterval.call(window, nativeId);
+      return true;
+    }
+    return false;
+  }
+
+  // Advances virtual time by one frame and fires every timer that came due.
+  // Timers created while firing wait for the next frame, so a setTimeout(fn, 0)
+  // chain cannot spin forever inside a single frame.
+  function advanceVirtualClock() {
+    virtualTime += virtualFrameDelta;
+    const lastExistingId = virtualTimerIdCounter;
+
+    while (true) {
+      let next = null;
+      for (const timer of virtualTimers) {
+        if (timer.id > lastExistingId || timer.due > virtualTime) continue;
+        if (!next || timer.due < next.due) next = timer;
+      }
+      if (!next) break;
+
+      if (next.interval === null) {
+        virtualTimers.splice(virtualTimers.indexOf(next), 1);
+      } else {
+        next.due += next.interval;
+      }
+
+      const start = realNow();
+      try {
+        next.callback.apply(window, next.args);
+      } catch (e) {
+        recordError('timer', e);
+      }
+      pendingProfile.timers.push({ name: next.callback.name || 'anonymous', ms: realNow() - start });
+    }
+  }
+
+  // Timer-only and event-driven apps have no rAF callbacks to drive frames,
+  // so queued inputs, pending virtual timers, stubbed responses and DOM
+  // changes under the registered root request frames on their own while the
+  // app is running.
+  function scheduleClockFrame() {
+    if (rafCallbacks.length > 0) return;
+    if (queuedInputs.length === 0 && stubDeliveries.length === 0 && pendingMutations.length === 0 &&
+      (!virtualClock || virtualTimers.length === 0)) return;
+    if (mode === 'ai' && paused && !stepping) return;
+    if (mode === 'ai' && slowMotionFPS !== null && !stepping) {
+      requestFrame(Math.max(0, 1000 / slowMotionFPS - (realNow() - lastSlowMotionTime)));
+    } else {
+      requestFrame(0);
+    }
   }
 
+  window.setTimeout = function (callback, delay, ...args) {
+    if (!virtualClock) return originalSetTimeout.call(window, callback, delay, ...args);
+    return addVirtualTimer(callback, delay, args, false);
+  };
+
+  window.setInterval = function (callback, delay, ...args) {
+    if (!virtualClock) return originalSetInterval.call(window, callback, delay, ...args);
+    return addVirtualTimer(callback, delay, args, true);
+  };
+
+  window.clearTimeout = function (id) {
+    if (!clearTimer(id)) originalClearTimeout.call(window, id);
+  };
+
+  window.clearInterval = function (id) {
+    if (!clearTimer(id)) originalClearInterval.call(window, id);
+  };
+
   // ============================================================
   // Error Capturing
   // ============================================================
+  // Every error is recorded with its stack, where it was caught (`source`)
+  // and a signature shared by repeats of the same error, so a loop that
+  // throws every frame shows up as one group in getErrorGroups().
+  const CONSOLE_LEVELS = ['error', 'warn'];
+
+  // Thrown values need not be Errors: `throw 'x'` and reject(42) are legal
+  function describeThrown(value) {
+    if (value && typeof value === 'object' && 'message' in value) {
+      return { message: String(value.message), name: value.name || 'Error', stack: value.stack || null };
+    }
+    if (value === undefined) return { message: 'Unknown', name: 'undefined', stack: null };
+    return { message: formatConsoleArg(value), name: typeof value, stack: null };
+  }
+
+  // First stack line with a location, so repeats group by where they threw
+  function errorLocation(err) {
+    const line = (err.stack || '').split('\n').find(l => /:\d+:\d+/.test(l));
+    if (line) return line.trim().replace(/^at\s+/, '');
+    return err.filename ? `${err.filename}:${err.lineno}:${err.colno}` : '';
+  }
+
+  function errorSignature(err) {
+    if (err.signature) return err.signature;
+    const location = errorLocation(err);
+    return `${err.name || 'Error'}: ${err.message}` + (location ? ` @ ${location}` : '');
+  }
+
+  function recordError(source, thrown, fields) {
+    const err = Object.assign(describeThrown(thrown), { source }, fields, {
+      frame: frameCount,
+      timestamp: performance.now(),
+    });
+    err.signature = errorSignature(err);
+    jsErrors.push(err);
+    addToErrorGroup(err, errorsDropped + jsErrors.length - 1);
+    if (jsErrors.length > 200) {
+      errorsDropped += jsErrors.length - 200;
+      jsErrors = jsErrors.slice(-200);
+    }
+    // A failing hook isn't reported back to plugins, so onError can't loop
+    if (source !== 'plugin') callPlugins('onError', err);
+    return err;
+  }
+
+  // Groups count every error ever recorded, so they stay right after old
+  // errors are trimmed; `seq` numbers errors from the last reset.
+  function addToErrorGroup(err, seq) {
+    const group = errorGroups.get(err.signature);
+    if (group) {
+      group.count++;
+      group.lastFrame = err.frame;
+      group.lastSeq = seq;
+    } else {
+      errorGroups.set(err.signature, {
+        signature: err.signature,
+        message: err.message,
+        name: err.name,
+        source: err.source,
+        count: 1,
+        firstFrame: err.frame,
+        lastFrame: err.frame,
+        firstSeq: seq,
+        lastSeq: seq,
+      });
+    }
+  }
+
+  // For when jsErrors is replaced (clear, rewind, branch switch, import)
+  function resetErrors(errors, dropped) {
+    jsErrors = errors;
+    errorsDropped = dropped;
+    errorGroups = new Map();
+    jsErrors.forEach((err, i) => addToErrorGroup(err, dropped + i));
+  }
+
+  // Errors recorded since the last reset, trimmed ones included
+  function errorTotal() {
+    return errorsDropped + jsErrors.length;
+  }
+
+  function getErrorGroups() {
+    const toIndex = seq => (seq >= errorsDropped ? seq - errorsDropped : null);
+    return Array.from(errorGroups.values(), g => ({
+      signature: g.signature,
+      message: g.message,
+      name: g.name,
+      source: g.source,
+      count: g.count,
+      firstFrame: g.firstFrame,
+      lastFrame: g.lastFrame,
+      firstIndex: toIndex(g.firstSeq),
+      lastIndex: toIndex(g.lastSeq),
+    }));
+  }
+
   window.addEventListener('error', function (e) {
-    const err = {
-      message: e.message,
+    const err = recordError('window', e.error !== undefined && e.error !== null ? e.error : { message: e.message }, {
       filename: e.filename,
       lineno: e.lineno,
       colno: e.colno,
-      timestamp: performance.now(),
-      frame: frameCount,
-    };
-    jsErrors.push(err);
+    });
     pendingEvents.push({ type: 'error', data: err, timestamp: performance.now() });
+    if (!isRunningFrame) {
+      flushBridgeErrors();
+      persistErrors();
+    }
   });
 
   window.addEventListener('unhandledrejection', function (e) {
-    const err = {
-      message: e.reason ? (e.reason.message || String(e.reason)) : 'Unknown',
-      timestamp: performance.now(),
-      frame: frameCount,
-    };
-    jsErrors.push(err);
+    const err = recordError('promise', e.reason);
     pendingEvents.push({ type: 'unhandledrejection', data: err, timestamp: performance.now() });
+    if (!isRunningFrame) {
+      flushBridgeErrors();
+      persistErrors();
+    }
+  });
+
+  // ============================================================
+  // Console Capture
+  // ============================================================
+  // console.error and console.warn still print; each call is also logged
+  // and lands on the next frame record's `console`.
+  function formatConsoleArg(value) {
+    if (typeof value === 'string') return value;
+    if (value && typeof value === 'object' && 'message' in value && 'stack' in value) {
+      return value.stack || String(value.message);
+    }
+    if (value === null || typeof value !== 'object') return String(value);
+    try {
+      return JSON.stringify(value);
+    } catch (e) {
+      return Object.prototype.toString.call(value);
+    }
+  }
+
+  function logConsole(level, args) {
+    let message = args.map(formatConsoleArg).join(' ');
+    if (message.length > CONFIG.consoleMessageLength) {
+      message = message.slice(0, CONFIG.consoleMessageLength) + '…';
+    }
+    const entry = { level, message, frame: frameCount, timestamp: performance.now() };
+    pendingConsole.push(entry);
+    consoleLog.push(entry);
+    if (consoleLog.length > 200) {
+      consoleLog = consoleLog.slice(-200);
+    }
+  }
+
+  CONSOLE_LEVELS.forEach(function (level) {
+    const original = console[level];
+    if (typeof original !== 'function') return;
+    console[level] = function (...args) {
+      try {
+        logConsole(level, args);
+      } catch (e) { /* never break the app's logging */ }
+      return original.apply(this, args);
+    };
   });
 
+  // ============================================================
+  // Error Context
+  // ============================================================
+  // One payload with everything around an error: the frames before and
+  // after it with their state changes, inputs, console output, network
+  // traffic, nearby errors and film strip thumbnails.
+  function getErrorContext(errorIndex, options) {
+    options = options || {};
+    const index = errorIndex < 0 ? jsErrors.length + errorIndex : errorIndex;
+    const error = jsErrors[index];
+    if (!Number.isInteger(index) || !error) {
+      return { success: false, error: `No error at index ${errorIndex} (${jsErrors.length} captured)` };
+    }
+    const from = Math.max(0, error.frame - (options.before === undefined ? 30 : options.before));
+    const to = error.frame + (options.after === undefined ? 10 : options.after);
+    const inRange = e => e.frame >= from && e.frame <= to;
+    const records = frameTape.filter(inRange);
+    const signature = errorSignature(error);
+
+    let prev = records.length > 0 ? findRecord(records[0].frame - 1) : null;
+    const frames = records.map(function (record) {
+      const changes = prev ? diffValues(prev.state, record.state, [], []) : [];
+      prev = record;
+      return {
+        frame: record.frame,
+        timestamp: record.timestamp,
+        duration: record.duration,
+        longFrame: record.profile ? record.profile.longFrame : false,
+        changes,
+        errors: record.errors.length,
+      };
+    });
+
+    const warnings = [];
+    if (records.length === 0) {
+      warnings.push(`No frames from ${from} to ${to} are on the tape`);
+    } else if (records[0].frame > Math.max(from, 1)) {
+      warnings.push(`Frames before ${records[0].frame} are no longer on the tape`);
+    }
+    const errorRecord = findRecord(error.frame);
+
+    return {
+      success: true,
+      index,
+      error,
+      group: getErrorGroups().find(g => g.signature === signature),
+      from,
+      to,
+      initialState: records.length > 0 ? records[0].state : null,
+      errorState: errorRecord ? errorRecord.state : null,
+      frames,
+      inputs: [].concat(...records.map(r => r.events), pendingEvents)
+        .filter(e => e.type !== 'error' && e.type !== 'unhandledrejection' && inRange(e)),
+      console: [].concat(...records.map(r => r.console || []), pendingConsole).filter(inRange),
+      actions: [].concat(...records.map(r => r.actions || []), pendingActions).filter(inRange),
+      network: [].concat(...records.map(r => r.network || [])),
+      errors: jsErrors.map((e, i) => Object.assign({ index: i }, e)).filter(inRange),
+      thumbnails: options.thumbnails === false
+        ? []
+        : filmStripBuffer.filter(inRange).map(f => ({ frame: f.frame, dataUrl: f.dataUrl })),
+      warnings,
+    };
+  }
+
   // ============================================================
   // Event Instrumentation
   // ============================================================
+  // Input is logged by one capture listener per captured type on window,
+  // which sees every event in the document before the app's listeners do.
+  // App listeners for input types are wrapped only to time them
+  // (record.profile.handlers); the registry maps each one back to its
+  // wrapper for removeEventListener. Listeners for anything else (mousemove,
+  // scroll, message, network events...) are left alone.
   const originalAddEventListener = EventTarget.prototype.addEventListener;
-  const trackedEventTypes = ['keydown', 'keyup', 'click', 'mousedown', 'mouseup', 'touchstart', 'touchend'];
+  const originalRemoveEventListener = EventTarget.prototype.removeEventListener;
+  const EVENT_GROUPS = {
+    keyboard: ['keydown', 'keyup'],
+    mouse: ['click', 'dblclick', 'mousedown', 'mouseup', 'contextmenu'],
+    pointer: ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'],
+    touch: ['touchstart', 'touchmove', 'touchend', 'touchcancel'],
+    wheel: ['wheel'],
+    form: ['input', 'change', 'submit'],
+    focus: ['focus', 'blur'],
+    window: ['resize', 'visibilitychange'],
+    gamepad: ['gamepadconnected', 'gamepaddisconnected', 'gamepad'],
+  };
+  const DEFAULT_CAPTURE_TYPES = ['keydown', 'keyup', 'click', 'mousedown', 'mouseup', 'touchstart', 'touchend'];
+  const TIMED_EVENT_TYPES = new Set([].concat(...Object.values(EVENT_GROUPS)));
+  const listenerRegistry = new WeakMap(); // target → Map "type|capture" → Map listener → wrapper
+
+  // Short description of an element target, for reading logs; `target`
+  // stays the selector used to dispatch replayed events
+  function describeElement(target) {
+    if (!target || target.nodeType !== 1) return null;
+    const info = { tag: target.tagName.toLowerCase() };
+    if (target.id) info.id = target.id;
+    if (typeof target.className === 'string' && target.className.trim()) info.classes = target.className.trim().split(/\s+/);
+    ['name', 'type', 'role'].forEach(function (attr) {
+      const value = target.getAttribute(attr);
+      if (value) info[attr] = value;
+    });
+    const label = target.getAttribute('aria-label') ||
+      (/^(button|a|label|summary|option)$/.test(info.tag) ? (target.textContent || '').trim() : '');
+    if (label) info.label = truncateText(label, 40);
+    return info;
+  }
+
+  // The fields a type of event needs to be read back or replayed
+  function eventDetails(event, target) {
+    const details = {};
+    if (typeof KeyboardEvent === 'function' && event instanceof KeyboardEvent) {
+      details.key = event.key;
+      details.code = event.code;
+      if (event.repeat) details.repeat = true;
+    }
+    if (typeof MouseEvent === 'function' && event instanceof MouseEvent) {
+      details.x = event.clientX;
+      details.y = event.clientY;
+      details.button = event.button;
+      details.buttons = event.buttons;
+    }
+    if (typeof PointerEvent === 'function' && event instanceof PointerEvent) {
+      details.pointerId = event.pointerId;
+      details.pointerType = event.pointerType;
+    }
+    if (typeof WheelEvent === 'function' && event instanceof WheelEvent) {
+      details.deltaX = event.deltaX;
+      details.deltaY = event.deltaY;
+      details.deltaMode = event.deltaMode;
+    }
+    if (event.changedTouches) {
+      details.touches = Array.from(event.changedTouches, t => ({ id: t.identifier, x: t.clientX, y: t.clientY }));
+    }
+    if ((event.type === 'input' || event.type === 'change') && target && 'value' in target) {
+      if (target.type === 'password') details.masked = true;
+      else if (target.type === 'checkbox' || target.type === 'radio') details.checked = target.checked;
+      else details.value = String(target.value);
+    }
+    if (event.type === 'resize') {
+      details.width = window.innerWidth;
+      details.height = window.innerHeight;
+    }
+    if (event.type === 'visibilitychange') details.visibility = document.visibilityState;
+    if (event.gamepad) {
+      details.index = event.gamepad.index;
+      details.id = event.gamepad.id;
+    }
+    return details;
+  }
+
+  function recordInput(eventData) {
+    pendingEvents.push(eventData);
+    if (session) session.inputs.push(eventData);
+    callPlugins('onEvent', eventData);
+  }
+
+  // Logs each event once, however many listeners it reaches
+  function logInputEvent(event, target, synthetic) {
+    if (loggedEvents.has(event)) return;
+    // Debug panel input is the human's, not the app's
+    if (target && target.nodeType === 1 && isPanelNode(target)) return;
+    loggedEvents.add(event);
+    const eventData = {
+      type: event.type,
+      timestamp: performance.now(),
+      frame: frameCount,
+      target: describeTarget(target),
+    };
+    const info = describeElement(target);
+    if (info) eventData.targetInfo = info;
+    Object.assign(eventData, eventDetails(event, target), modifiersOf(event));
+    if (synthetic) eventData.synthetic = true;
+    recordInput(eventData);
+  }
+
+  // targets and selector narrow down element events only; events at window
+  // or document (resize, visibilitychange) are chosen by type alone
+  function capturesTarget(target) {
+    if (!target || target.nodeType !== 1) return true;
+    if (eventCapture.selector && !(target.closest && target.closest(eventCapture.selector))) return false;
+    if (eventCapture.targets && !eventCapture.targets.some(root => root === target || root.contains(target))) return false;
+    return true;
+  }
+
+  function captureEvent(event) {
+    if (capturesTarget(event.target)) logInputEvent(event, event.target);
+  }
+
+  // Gamepads fire no events for buttons and sticks, so their state is polled
+  // before each frame and logged as a 'gamepad' event when it changes
+  function pollGamepads() {
+    if (!eventCapture.types.has('gamepad') || typeof navigator.getGamepads !== 'function') return;
+    let pads;
+    try {
+      pads = navigator.getGamepads();
+    } catch (e) {
+      return;
+    }
+    Array.from(pads || []).forEach(function (pad) {
+      if (!pad) return;
+      const snapshot = {
+        buttons: Array.from(pad.buttons, b => Math.round(b.value * 100) / 100),
+        axes: Array.from(pad.axes, a => Math.round(a * 100) / 100),
+      };
+      const key = JSON.stringify(snapshot);
+      if (gamepadStates[pad.index] === key) return;
+      gamepadStates[pad.index] = key;
+      recordInput(Object.assign({
+        type: 'gamepad',
+        timestamp: performance.now(),
+        frame: frameCount,
+        target: 'window',
+        index: pad.index,
+        id: pad.id,
+      }, snapshot));
+    });
+  }
+
+  function expandEventTypes(types) {
+    const expanded = [];
+    types.forEach(function (name) {
+      (EVENT_GROUPS[name] || [name]).forEach(function (type) {
+        if (!expanded.includes(type)) expanded.push(type);
+      });
+    });
+    return expanded;
+  }
+
+  function getEventCapture() {
+    return {
+      types: Array.from(eventCapture.types),
+      targets: eventCapture.targets ? eventCapture.targets.map(describeTarget) : null,
+      selector: eventCapture.selector,
+    };
+  }
+
+  function setEventCapture(options) {
+    options = options || {};
+    if (options.types !== undefined && !Array.isArray(options.types)) {
+      return { success: false, error: 'types must be an array of event types or groups' };
+    }
+    const targets = options.targets ? [].concat(options.targets) : options.targets;
+    if (targets && targets.some(t => !t || t.nodeType !== 1)) {
+      return { success: false, error: 'targets must be elements' };
+    }
+    if (options.selector) {
+      try {
+        document.createDocumentFragment().querySelector(options.selector);
+      } catch (e) {
+        return { success: false, error: `Invalid selector "${options.selector}"` };
+      }
+    }
+
+    if (options.types) {
+      const types = expandEventTypes(options.types);
+      eventCapture.types.forEach(function (type) {
+        if (!types.includes(type)) originalRemoveEventListener.call(window, type, captureEvent, true);
+      });
+      types.forEach(function (type) {
+        if (!eventCapture.types.has(type)) originalAddEventListener.call(window, type, captureEvent, true);
+      });
+      eventCapture.types = new Set(types);
+    }
+    if (targets !== undefined) eventCapture.targets = targets && targets.length > 0 ? targets : null;
+    if (options.selector !== undefined) eventCapture.selector = options.selector || null;
+    return getEventCapture();
+  }
+
+  function listenerKey(type, options) {
+    const capture = typeof options === 'boolean' ? options : !!(options && options.capture);
+    return type + '|' + capture;
+  }
+
+  // Handlers can run many times between frames (or while paused), so only
+  // the first profileHandlerLimit are listed
+  function recordHandlerTiming(type, listener, ms) {
+    const profile = pendingProfile;
+    if (profile.handlers.length < CONFIG.profileHandlerLimit) {
+      profile.handlers.push({ type, name: listener.name || 'anonymous', ms });
+      return;
+    }
+    profile.moreHandlers = profile.moreHandlers || { count: 0, ms: 0 };
+    profile.moreHandlers.count++;
+    profile.moreHandlers.ms += ms;
+  }
+
+  function wrapListener(listener) {
+    return function (event) {
+      const start = realNow();
+      try {
+        return typeof listener === 'function' ? listener.call(this, event) : listener.handleEvent(event);
+      } finally {
+        recordHandlerTiming(event.type, listener, realNow() - start);
+      }
+    };
+  }
+
+  function isTimedType(type) {
+    return TIMED_EVENT_TYPES.has(type) || eventCapture.types.has(type);
+  }
+
+  EventTarget.prototype.addEventListener = function (type, listener, options) {
+    if (!listener || this === null || typeof this !== 'object' || !isTimedType(type)) {
+      return originalAddEventListener.call(this, type, listener, options);
+    }
+    let byKey = listenerRegistry.get(this);
+    if (!byKey) {
+      byKey = new Map();
+      listenerRegistry.set(this, byKey);
+    }
+    const key = listenerKey(type, options);
+    if (!byKey.has(key)) byKey.set(key, new Map());
+    // A repeated add gets the same wrapper, so the browser still ignores it
+    const wrappers = byKey.get(key);
+    if (!wrappers.has(listener)) wrappers.set(listener, wrapListener(listener));
+    return originalAddEventListener.call(this, type, wrappers.get(listener), options);
+  };
+
+  EventTarget.prototype.removeEventListener = function (type, listener, options) {
+    const byKey = this !== null && typeof this === 'object' ? listenerRegistry.get(this) : undefined;
+    const wrappers = byKey && byKey.get(listenerKey(type, options));
+    if (wrappers && wrappers.has(listener)) {
+      const wrapper = wrappers.get(listener);
+      wrappers.delete(listener);
+      return originalRemoveEventListener.call(this, type, wrapper, options);
+    }
+    return originalRemoveEventListener.call(this, type, listener, options);
+  };
+
+  setEventCapture({ types: DEFAULT_CAPTURE_TYPES });
+
+  // ============================================================
+  // Network Instrumentation
+  // ============================================================
+  // fetch, XMLHttpRequest and WebSocket traffic is logged onto the frame in
+  // progress. Stubbed responses are delivered at the end of a frame, so the
+  // app sees them at the same point of the frame loop on every run.
+  const originalFetch = window.fetch;
+  const OriginalXHR = window.XMLHttpRequest;
+  const OriginalWebSocket = window.WebSocket;
+  const xhrRequests = new WeakMap(); // XMLHttpRequest → { id, method, url, start }
+
+  function resolveUrl(url) {
+    try {
+      return new URL(String(url), window.location.href).href;
+    } catch (e) {
+      return String(url);
+    }
+  }
+
+  function previewBody(body) {
+    if (body === undefined || body === null) return undefined;
+    if (typeof body !== 'string') {
+      const kind = Object.prototype.toString.call(body).slice(8, -1);
+      return kind === 'Object' || kind === 'Array' ? previewBody(JSON.stringify(body)) : `[${kind}]`;
+    }
+    return body.length > CONFIG.networkBodyPreview ? body.slice(0, CONFIG.networkBodyPreview) + '…' : body;
+  }
+
+  function logNetwork(entry) {
+    entry.frame = frameCount;
+    entry.timestamp = performance.now();
+    pendingNetwork.push(entry);
+    networkLog.push(entry);
+    if (networkLog.length > 200) {
+      networkLog = networkLog.slice(-200);
+    }
+    return entry;
+  }
+
+  function urlMatches(pattern, url, method) {
+    if (typeof pattern === 'function') return !!pattern(url, method);
+    if (pattern && typeof pattern.test === 'function') return pattern.test(url);
+    return url.indexOf(pattern) !== -1;
+  }
+
+  // First unused stub for the request, or null. `once` stubs are used up.
+  function findStub(method, url, websocket) {
+    for (const stub of networkStubs) {
+      const rule = stub.rule;
+      if (stub.used && rule.once) continue;
+      if (!!rule.websocket !== websocket) continue;
+      if (rule.method && rule.method.toUpperCase() !== method) continue;
+      if (!urlMatches(rule.url, url, method)) continue;
+      stub.used++;
+      return rule;
+    }
+    return null;
+  }
+
+  // Runs deliver() at the end of the frame `delayFrames` after the current
+  // one (or of `atFrame`, for responses replayed from a session). Between
+  // frames with no delay it runs before the next frame instead.
+  function scheduleDelivery(deliver, delayFrames, atFrame) {
+    delayFrames = delayFrames || 0;
+    if (!isRunningFrame && !delayFrames && (atFrame === undefined || atFrame <= frameCount)) {
+      originalSetTimeout.call(window, deliver, 0);
+      return;
+    }
+    const due = atFrame !== undefined ? Math.max(atFrame, frameCount) : frameCount + delayFrames;
+    stubDeliveries.push({ due, deliver });
+    if (!isRunningFrame) scheduleClockFrame();
+  }
+
+  function deliverNetworkStubs() {
+    const due = stubDeliveries.filter(d => d.due <= frameCount);
+    if (due.length === 0) return;
+    stubDeliveries = stubDeliveries.filter(d => d.due > frameCount);
+    for (const { deliver } of due) {
+      try {
+        deliver();
+      } catch (e) {
+        recordError('network', e);
+      }
+    }
+  }
+
+  function stubBodyText(rule) {
+    if (rule.body === undefined || rule.body === null) return '';
+    return typeof rule.body === 'string' ? rule.body : JSON.stringify(rule.body);
+  }
+
+  function stubHeaders(rule) {
+    const headers = Object.assign({}, rule.headers);
+    if (rule.body !== undefined && typeof rule.body !== 'string' &&
+        !Object.keys(headers).some(h => h.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = 'application/json';
+    }
+    return headers;
+  }
+
+  function recordSessionResponse(entry, headers, body) {
+    if (!session) return null;
+    const recorded = {
+      kind: entry.kind,
+      method: entry.method,
+      url: entry.url,
+      frame: entry.frame,
+      status: entry.status,
+      statusText: entry.statusText,
+      headers,
+      body,
+    };
+    session.network.push(recorded);
+    return recorded;
+  }
+
+  function unstubbedError(method, url) {
+    return `FrameTape: no network stub for ${method} ${url}`;
+  }
+
+  // --- fetch ---
+  if (originalFetch) {
+    window.fetch = function (input, init) {
+      // Bad arguments: the native fetch turns them into a rejected promise
+      if (input === null || input === undefined) return originalFetch.apply(window, arguments);
+      const method = String((init && init.method) || (input && input.method) || 'GET').toUpperCase();
+      const url = resolveUrl(typeof input === 'string' || input instanceof URL ? input : input.url);
+      const id = ++networkIdCounter;
+      const start = realNow();
+      logNetwork({ id, kind: 'fetch', phase: 'request', method, url, body: previewBody(init && init.body) });
+
+      const fail = function (message, stubbed) {
+        logNetwork({ id, kind: 'fetch', phase: 'error', method, url, message, duration: realNow() - start, stubbed });
+      };
+
+      const rule = findStub(method, url, false);
+      if (rule || !networkPassthrough) {
+        return new Promise(function (resolve, reject) {
+          scheduleDelivery(function () {
+            if (!rule || rule.error) {
+              const message = rule ? rule.error : unstubbedError(method, url);
+              fail(message, true);
+              reject(new TypeError(message));
+              return;
+            }
+            const status = rule.status || 200;
+            const text = stubBodyText(rule);
+            const headers = stubHeaders(rule);
+            const entry = logNetwork({
+              id, kind: 'fetch', phase: 'response', method, url, status, statusText: rule.statusText || '',
+              duration: realNow() - start, body: previewBody(text), stubbed: true,
+            });
+            recordSessionResponse(entry, headers, text);
+            const noBody = [101, 204, 205, 304].includes(status);
+            resolve(new Response(noBody ? null : text, { status, statusText: rule.statusText || '', headers }));
+          }, rule && rule.delayFrames, rule ? rule.atFrame : undefined);
+        });
+      }
+
+      return originalFetch.apply(window, arguments).then(function (response) {
+        const headers = {};
+        response.headers.forEach(function (value, name) { headers[name] = value; });
+        const entry = logNetwork({
+          id, kind: 'fetch', phase: 'response', method, url, status: response.status,
+          statusText: response.statusText, duration: realNow() - start,
+        });
+        const recorded = recordSessionResponse(entry, headers, undefined);
+        response.clone().text().then(function (text) {
+          entry.body = previewBody(text);
+          if (recorded) recorded.body = text;
+        }, function () {});
+        return response;
+      }, function (err) {
+        fail(err && err.message ? err.message : String(err), false);
+        throw err;
+      });
+    };
+  }
+
+  // --- XMLHttpRequest ---
+  function respondToXHR(xhr, info, rule) {
+    const define = (name, value) => Object.defineProperty(xhr, name, { value, configurable: true });
+    if (!rule || rule.error) {
+      logNetwork({
+        id: info.id, kind: 'xhr', phase: 'error', method: info.method, url: info.url,
+        message: rule ? rule.error : unstubbedError(info.method, info.url), duration: realNow() - info.start, stubbed: true,
+      });
+      define('readyState', 4);
+      define('status', 0);
+      ['readystatechange', 'error', 'loadend'].forEach(type => xhr.dispatchEvent(new Event(type)));
+      return;
+    }
+
+    const status = rule.status || 200;
+    const text = stubBodyText(rule);
+    const headers = stubHeaders(rule);
+    const entry = logNetwork({
+      id: info.id, kind: 'xhr', phase: 'response', method: info.method, url: info.url, status,
+      statusText: rule.statusText || '', duration: realNow() - info.start, body: previewBody(text), stubbed: true,
+    });
+    recordSessionResponse(entry, headers, text);
+
+    let response = text;
+    if (xhr.responseType === 'json') {
+      try {
+        response = JSON.parse(text);
+      } catch (e) {
+        response = null;
+      }
+    }
+    define('readyState', 4);
+    define('status', status);
+    define('statusText', rule.statusText || '');
+    define('responseURL', info.url);
+    define('responseText', text);
+    define('response', response);
+    define('getResponseHeader', function (name) {
+      const key = Object.keys(headers).find(h => h.toLowerCase() === String(name).toLowerCase());
+      return key === undefined ? null : headers[key];
+    });
+    define('getAllResponseHeaders', function () {
+      return Object.keys(headers).map(h => `${h.toLowerCase()}: ${headers[h]}\r\n`).join('');
+    });
+    ['readystatechange', 'load', 'loadend'].forEach(type => xhr.dispatchEvent(new Event(type)));
+  }
+
+  if (OriginalXHR) {
+    const originalOpen = OriginalXHR.prototype.open;
+    const originalSend = OriginalXHR.prototype.send;
+
+    OriginalXHR.prototype.open = function (method, url) {
+      xhrRequests.set(this, { method: String(method).toUpperCase(), url: resolveUrl(url) });
+      return originalOpen.apply(this, arguments);
+    };
+
+    OriginalXHR.prototype.send = function (body) {
+      const info = xhrRequests.get(this);
+      if (!info) return originalSend.apply(this, arguments);
+      const xhr = this;
+      info.id = ++networkIdCounter;
+      info.start = realNow();
+      logNetwork({ id: info.id, kind: 'xhr', phase: 'request', method: info.method, url: info.url, body: previewBody(body) });
+
+      const rule = findStub(info.method, info.url, false);
+      if (rule || !networkPassthrough) {
+        scheduleDelivery(() => respondToXHR(xhr, info, rule), rule && rule.delayFrames, rule ? rule.atFrame : undefined);
+        return undefined;
+      }
+
+      originalAddEventListener.call(xhr, 'loadend', function () {
+        if (xhr.status === 0) {
+          logNetwork({ id: info.id, kind: 'xhr', phase: 'error', method: info.method, url: info.url, message: 'Request failed', duration: realNow() - info.start });
+          return;
+        }
+        const text = xhr.responseType === '' || xhr.responseType === 'text' ? xhr.responseText : undefined;
+        const entry = logNetwork({
+          id: info.id, kind: 'xhr', phase: 'response', method: info.method, url: info.url, status: xhr.status,
+          statusText: xhr.statusText, duration: realNow() - info.start, body: previewBody(text),
+        });
+        const headers = {};
+        xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(function (line) {
+          const split = line.indexOf(':');
+          if (split > 0) headers[line.slice(0, split).trim()] = line.slice(split + 1).trim();
+        });
+        recordSessionResponse(entry, headers, text);
+      });
+      return originalSend.apply(this, arguments);
+    };
+  }
+
+  // --- WebSocket ---
+  function recordSessionSocket(id, url, phase, data) {
+    if (session) session.network.push({ kind: 'websocket', socket: id, url, phase, frame: frameCount, data });
+  }
+
+  // Stand-in socket for stubbed or offline connections. Messages come from
+  // rule.messages and from rule.respond(data) for each send().
+  class StubWebSocket extends EventTarget {
+    constructor(url, rule, id) {
+      super();
+      this.url = url;
+      this.protocol = '';
+      this.extensions = '';
+      this.binaryType = 'blob';
+      this.bufferedAmount = 0;
+      this.readyState = StubWebSocket.CONNECTING;
+      this.onopen = null;
+      this.onmessage = null;
+      this.onerror = null;
+      this.onclose = null;
+      this._rule = rule;
+      this._id = id;
+
+      if (!rule) {
+        scheduleDelivery(() => {
+          logNetwork({ id, kind: 'websocket', phase: 'error', url, message: unstubbedError('GET', url), stubbed: true });
+          this._fire('error', new Event('error'));
+          this._finish(1006, '');
+        });
+        return;
+      }
+      scheduleDelivery(() => {
+        if (this.readyState !== StubWebSocket.CONNECTING) return;
+        this.readyState = StubWebSocket.OPEN;
+        logNetwork({ id, kind: 'websocket', phase: 'open', url, stubbed: true });
+        recordSessionSocket(id, url, 'open');
+        this._fire('open', new Event('open'));
+      }, 0, rule.openFrame);
+      (rule.messages || []).forEach(message => {
+        const timed = message !== null && typeof message === 'object' && 'data' in message;
+        this._queueMessage(timed ? message.data : message, timed ? message.delayFrames : 0, timed ? message.atFrame : undefined);
+      });
+      if (rule.closeFrame !== undefined) {
+        scheduleDelivery(() => this._finish(1000, ''), 0, rule.closeFrame);
+      }
+    }
+
+    _fire(type, event) {
+      const handler = this['on' + type];
+      if (typeof handler === 'function') handler.call(this, event);
+      this.dispatchEvent(event);
+    }
+
+    _queueMessage(data, delayFrames, atFrame) {
+      scheduleDelivery(() => {
+        if (this.readyState !== StubWebSocket.OPEN) return;
+        const text = typeof data === 'string' ? data : JSON.stringify(data);
+        logNetwork({ id: this._id, kind: 'websocket', phase: 'message', url: this.url, data: previewBody(text), stubbed: true });
+        recordSessionSocket(this._id, this.url, 'message', text);
+        this._fire('message', new MessageEvent('message', { data: text }));
+      }, delayFrames, atFrame);
+    }
+
+    _finish(code, reason) {
+      if (this.readyState === StubWebSocket.CLOSED) return;
+      this.readyState = StubWebSocket.CLOSED;
+      logNetwork({ id: this._id, kind: 'websocket', phase: 'close', url: this.url, code, stubbed: true });
+      recordSessionSocket(this._id, this.url, 'close');
+      const event = new Event('close');
+      event.code = code;
+      event.reason = reason;
+      event.wasClean = code === 1000;
+      this._fire('close', event);
+    }
+
+    send(data) {
+      if (this.readyState !== StubWebSocket.OPEN) {
+        throw new Error('FrameTape: WebSocket is not open');
+      }
+      logNetwork({ id: this._id, kind: 'websocket', phase: 'send', url: this.url, data: previewBody(data), stubbed: true });
+      if (this._rule.respond) {
+        const reply = this._rule.respond(data);
+        if (reply !== undefined && reply !== null) this._queueMessage(reply, 0);
+      }
+    }
+
+    close(code, reason) {
+      if (this.readyState === StubWebSocket.CLOSED) return;
+      this.readyState = StubWebSocket.CLOSING;
+      scheduleDelivery(() => this._finish(code || 1000, reason || ''));
+    }
+  }
+  StubWebSocket.CONNECTING = 0;
+  StubWebSocket.OPEN = 1;
+  StubWebSocket.CLOSING = 2;
+  StubWebSocket.CLOSED = 3;
+
+  if (OriginalWebSocket) {
+    const WrappedWebSocket = function WebSocket(url, protocols) {
+      url = resolveUrl(url);
+      const id = ++networkIdCounter;
+      logNetwork({ id, kind: 'websocket', phase: 'connect', url });
+
+      const rule = findStub('GET', url, true);
+      if (rule || !networkPassthrough) return new StubWebSocket(url, rule, id);
+
+      const socket = protocols === undefined ? new OriginalWebSocket(url) : new OriginalWebSocket(url, protocols);
+      originalAddEventListener.call(socket, 'open', function () {
+        logNetwork({ id, kind: 'websocket', phase: 'open', url });
+        recordSessionSocket(id, url, 'open');
+      });
+      originalAddEventListener.call(socket, 'message', function (e) {
+        logNetwork({ id, kind: 'websocket', phase: 'message', url, data: previewBody(e.data) });
+        recordSessionSocket(id, url, 'message', typeof e.data === 'string' ? e.data : previewBody(e.data));
+      });
+      originalAddEventListener.call(socket, 'error', function () {
+        logNetwork({ id, kind: 'websocket', phase: 'error', url, message: 'WebSocket error' });
+      });
+      originalAddEventListener.call(socket, 'close', function (e) {
+        logNetwork({ id, kind: 'websocket', phase: 'close', url, code: e.code });
+        recordSessionSocket(id, url, 'close');
+      });
+      const send = socket.send;
+      socket.send = function (data) {
+        logNetwork({ id, kind: 'websocket', phase: 'send', url, data: previewBody(data) });
+        return send.call(socket, data);
+      };
+      return socket;
+    };
+    WrappedWebSocket.prototype = OriginalWebSocket.prototype;
+    Object.defineProperty(WrappedWebSocket, Symbol.hasInstance, {
+      value: socket => socket instanceof OriginalWebSocket || socket instanceof StubWebSocket,
+    });
+    ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach(function (name) {
+      WrappedWebSocket[name] = OriginalWebSocket[name];
+    });
+    window.WebSocket = WrappedWebSocket;
+  }
+
+  // Turns a session's recorded traffic into once-only stubs that answer on
+  // the frames the originals arrived on.
+  function stubsFromSession(network) {
+    const rules = [];
+    const sockets = new Map();
+    network.forEach(function (entry) {
+      if (entry.kind !== 'websocket') {
+        rules.push({
+          url: entry.url, method: entry.method, status: entry.status, statusText: entry.statusText,
+          headers: entry.headers, body: entry.body, atFrame: entry.frame, once: true,
+        });
+        return;
+      }
+      let rule = sockets.get(entry.socket);
+      if (!rule) {
+        rule = { url: entry.url, websocket: true, messages: [], once: true };
+        sockets.set(entry.socket, rule);
+        rules.push(rule);
+      }
+      if (entry.phase === 'open') rule.openFrame = entry.frame;
+      if (entry.phase === 'message') rule.messages.push({ data: entry.data, atFrame: entry.frame });
+      if (entry.phase === 'close') rule.closeFrame = entry.frame;
+    });
+    return rules;
+  }
+
+  function stubNetwork(rules, options) {
+    options = options || {};
+    if (!Array.isArray(rules)) rules = [rules];
+    if (!options.append) networkStubs = [];
+    rules.forEach(rule => networkStubs.push({ rule, used: 0 }));
+    if (options.passthrough !== undefined) networkPassthrough = !!options.passthrough;
+    return { stubs: networkStubs.length, passthrough: networkPassthrough };
+  }
+
+  // ============================================================
+  // Synthetic Input
+  // ============================================================
+  // Targets are recorded as 'window', 'document', '#id', or a CSS child path
+  // from <html>, so a recorded event can be dispatched to the same element later.
+  function describeTarget(target) {
+    if (target === window) return 'window';
+    if (target === document) return 'document';
+    if (!target || target.nodeType !== 1) return 'document';
+    if (target === document.body) return 'body';
+    if (target.id) return '#' + target.id;
+    const path = [];
+    let el = target;
+    while (el && el.nodeType === 1 && el !== document.documentElement) {
+      if (el.id) {
+        path.unshift('#' + el.id);
+        return path.join(' > ');
+      }
+      const index = Array.prototype.indexOf.call(el.parentNode.children, el) + 1;
+      path.unshift(`${el.tagName.toLowerCase()}:nth-child(${index})`);
+      el = el.parentElement;
+    }
+    path.unshift('html');
+    return path.join(' > ');
+  }
+
+  function resolveTarget(descriptor) {
+    if (!descriptor || descriptor === 'document') return document;
+    if (descriptor === 'window') return window;
+    try {
+      return document.querySelector(descriptor) || document;
+    } catch (e) {
+      return document;
+    }
+  }
+
+  function createSyntheticEvent(eventData) {
+    const init = {
+      bubbles: true,
+      cancelable: true,
+      ctrlKey: !!eventData.ctrlKey,
+      shiftKey: !!eventData.shiftKey,
+      altKey: !!eventData.altKey,
+      metaKey: !!eventData.metaKey,
+    };
+    if (/^key/.test(eventData.type)) {
+      return new KeyboardEvent(eventData.type, Object.assign(init, {
+        key: eventData.key,
+        code: eventData.code,
+      }));
+    }
+    if (/^(click|dblclick|mouse|contextmenu|pointer|wheel)/.test(eventData.type)) {
+      Object.assign(init, {
+        clientX: eventData.x,
+        clientY: eventData.y,
+        button: eventData.button || 0,
+        buttons: eventData.buttons || 0,
+      });
+      if (eventData.type === 'wheel' && typeof WheelEvent === 'function') {
+        return new WheelEvent('wheel', Object.assign(init, {
+          deltaX: eventData.deltaX || 0,
+          deltaY: eventData.deltaY || 0,
+          deltaMode: eventData.deltaMode || 0,
+        }));
+      }
+      if (/^pointer/.test(eventData.type) && typeof PointerEvent === 'function') {
+        return new PointerEvent(eventData.type, Object.assign(init, {
+          pointerId: eventData.pointerId || 1,
+          pointerType: eventData.pointerType || 'mouse',
+          isPrimary: true,
+        }));
+      }
+      return new MouseEvent(eventData.type, init);
+    }
+    return new Event(eventData.type, init);
+  }
+
+  function queueInput(dispatchAt, eventData) {
+    queuedInputs.push({ dispatchAt, event: eventData });
+    scheduleClockFrame();
+  }
+
+  // Dispatches queued inputs due for the frame about to run. They reach the
+  // app before timers and rAF callbacks, like real input in the event loop.
+  function dispatchQueuedInputs() {
+    const nextFrame = frameCount + 1;
+    const due = queuedInputs.filter(q => q.dispatchAt <= nextFrame);
+    if (due.length === 0) return;
+    queuedInputs = queuedInputs.filter(q => q.dispatchAt > nextFrame);
+    for (const { event } of due) {
+      try {
+        const target = resolveTarget(event.target);
+        // Form events carry the value the field had; set it before dispatch
+        if (event.value !== undefined && 'value' in target) target.value = event.value;
+        if (event.checked !== undefined && 'checked' in target) target.checked = event.checked;
+        const synthetic = createSyntheticEvent(event);
+        logInputEvent(synthetic, target, true);
+        target.dispatchEvent(synthetic);
+      } catch (e) {
+        recordError('input', e);
+      }
+    }
+  }
+
+  // Frame a new input lands on: the next frame unless a later one is requested
+  function inputFrame(options) {
+    return Math.max(frameCount + 1, options && options.atFrame ? options.atFrame : 0);
+  }
+
+  function keyCode(key) {
+    if (key === ' ') return 'Space';
+    if (key.length === 1) return /[a-z]/i.test(key) ? 'Key' + key.toUpperCase() : /[0-9]/.test(key) ? 'Digit' + key : '';
+    return key;
+  }
+
+  function pointTarget(x, y, options) {
+    if (options && options.target) return options.target;
+    const el = typeof document.elementFromPoint === 'function' ? document.elementFromPoint(x, y) : null;
+    return describeTarget(el || document);
+  }
+
+  function modifiersOf(options) {
+    const modifiers = {};
+    ['ctrlKey', 'shiftKey', 'altKey', 'metaKey'].forEach(function (name) {
+      if (options && options[name]) modifiers[name] = true;
+    });
+    return modifiers;
+  }
+
+  const input = {
+    pressKey: function (key, options) {
+      options = options || {};
+      const atFrame = inputFrame(options);
+      const base = Object.assign({
+        key,
+        code: options.code || keyCode(key),
+        target: options.target || 'document',
+      }, modifiersOf(options));
+      queueInput(atFrame, Object.assign({ type: 'keydown' }, base));
+      if (options.hold) {
+        return { queued: 1, atFrame };
+      }
+      const releaseAt = atFrame + (options.holdFrames || 1);
+      queueInput(releaseAt, Object.assign({ type: 'keyup' }, base));
+      return { queued: 2, atFrame, releaseAt };
+    },
+
+    releaseKey: function (key, options) {
+      options = options || {};
+      const atFrame = inputFrame(options);
+      queueInput(atFrame, Object.assign({
+        type: 'keyup',
+        key,
+        code: options.code || keyCode(key),
+        target: options.target || 'document',
+      }, modifiersOf(options)));
+      return { queued: 1, atFrame };
+    },
+
+    click: function (x, y, options) {
+      options = options || {};
+      const atFrame = inputFrame(options);
+      const base = Object.assign({ x, y, button: options.button || 0, target: pointTarget(x, y, options) }, modifiersOf(options));
+      queueInput(atFrame, Object.assign({ type: 'pointerdown', buttons: 1 }, base));
+      queueInput(atFrame, Object.assign({ type: 'mousedown', buttons: 1 }, base));
+      queueInput(atFrame, Object.assign({ type: 'pointerup' }, base));
+      queueInput(atFrame, Object.assign({ type: 'mouseup' }, base));
+      queueInput(atFrame, Object.assign({ type: 'click' }, base));
+      return { queued: 5, atFrame };
+    },
+
+    // path: [{ x, y }, ...] — one point per frame (or per `framesPerPoint` frames)
+    pointerDrag: function (path, options) {
+      options = options || {};
+      if (!Array.isArray(path) || path.length === 0) {
+        return { queued: 0, error: 'pointerDrag needs a non-empty array of { x, y } points' };
+      }
+      const atFrame = inputFrame(options);
+      const framesPerPoint = options.framesPerPoint || 1;
+      const button = options.button || 0;
+      const target = pointTarget(path[0].x, path[0].y, options);
+      let queued = 0;
+      path.forEach(function (point, i) {
+        const frame = atFrame + i * framesPerPoint;
+        const base = Object.assign({ x: point.x, y: point.y, button, buttons: 1, target }, modifiersOf(options));
+        const kind = i === 0 ? 'down' : 'move';
+        queueInput(frame, Object.assign({}, base, { type: 'pointer' + kind }));
+        queueInput(frame, Object.assign({}, base, { type: 'mouse' + kind }));
+        queued += 2;
+      });
+      const last = path[path.length - 1];
+      const endFrame = atFrame + (path.length - 1) * framesPerPoint;
+      const end = Object.assign({ x: last.x, y: last.y, button, buttons: 0, target }, modifiersOf(options));
+      queueInput(endFrame, Object.assign({}, end, { type: 'pointerup' }));
+      queueInput(endFrame, Object.assign({}, end, { type: 'mouseup' }));
+      return { queued: queued + 2, atFrame, endFrame };
+    },
+
+    // Queues a recorded event as-is, e.g. one from getEventLog()
+    queue: function (event, options) {
+      if (!event || typeof event.type !== 'string') {
+        return { queued: 0, error: 'queue needs an event with a type' };
+      }
+      const atFrame = inputFrame(options);
+      queueInput(atFrame, pickInput(event));
+      return { queued: 1, atFrame };
+    },
+
+    getQueue: function () {
+      return queuedInputs.map(q => Object.assign({ atFrame: q.dispatchAt }, q.event));
+    },
+
+    clear: function () {
+      const cleared = queuedInputs.length;
+      queuedInputs = [];
+      return { cleared };
+    },
+  };
+
+  // ============================================================
+  // requestAnimationFrame Wrapper (Frame Controller)
+  // ============================================================
+  originalRAF = window.requestAnimationFrame;
+
+  // Schedules a single native rAF tick (optionally after a delay). Repeated
+  // requests before the tick fires are merged, so one tick = one frame.
+  function requestFrame(delay) {
+    if (frameRequested) return;
+    frameRequested = true;
+    const tick = function () {
+      originalRAF.call(window, function (timestamp) {
+        frameRequested = false;
+        if (delay > 0) lastSlowMotionTime = realNow();
+        executeFrame(timestamp);
+      });
+    };
+    if (delay > 0) {
+      originalSetTimeout.call(window, tick, delay);
+    } else {
+      tick();
+    }
+  }
+
+  function hasPendingFrameWork() {
+    return rafCallbacks.length > 0 || queuedInputs.length > 0 || stubDeliveries.length > 0 ||
+      pendingMutations.length > 0 || (virtualClock && virtualTimers.length > 0);
+  }
+
+  function wrappedRAF(callback) {
+    const id = ++rafIdCounter;
+    rafCallbacks.push({ id, callback });
+
+    if (mode === 'user' || (!paused && !stepping && slowMotionFPS === null)) {
+      // Normal mode — pass through immediately
+      requestFrame(0);
+      return id;
+    }
+
+    if (paused && !stepping) {
+      // Paused — don't schedule, wait for step()
+      return id;
+    }
+
+    if (stepping && stepsRemaining > 0) {
+      // Stepping — schedule immediately
+      requestFrame(0);
+      return id;
+    }
+
+    if (slowMotionFPS !== null && !paused) {
+      // Slow motion — schedule with delay
+      const delay = 1000 / slowMotionFPS;
+      const timeSinceLast = realNow() - lastSlowMotionTime;
+      requestFrame(Math.max(1, delay - timeSinceLast));
+      return id;
+    }
+
+    // Default: schedule normally
+    requestFrame(0);
+    return id;
+  }
+
+  // step(), runUntil() and replaySession() share the frame loop: a new one
+  // resolves the pending one with `superseded: true` instead of leaving it
+  // hanging
+  function supersedePendingStep() {
+    if (!frameResolve) return;
+    const resolve = frameResolve;
+    frameResolve = null;
+    resolve({ frame: frameCount, state: getState(), superseded: true });
+  }
+
+  // Stops the loop on the frame that just ran and resolves a pending step()
+  function pauseOnFrame(reason) {
+    stepping = false;
+    stepsRemaining = 0;
+    paused = true;
+    if (frameResolve) {
+      frameResolve(Object.assign({ frame: frameCount, state: getState() }, reason));
+      frameResolve = null;
+    }
+  }
+
+  function executeFrame(timestamp) {
+    if (!hasPendingFrameWork()) return;
+    // A tick scheduled before pause() must not run a frame
+    if (mode === 'ai' && paused && !stepping) return;
+
+    isRunningFrame = true;
+    runningFrame = frameCount + 1;
+    dispatchQueuedInputs();
+    pollGamepads();
+    if (virtualClock) {
+      // Timers fire before rAF callbacks, as in the browser event loop
+      advanceVirtualClock();
+      timestamp = virtualTime;
+    }
+    const frameDuration = timestamp - lastFrameTime;
+    lastFrameTime = timestamp;
+    frameCount++;
+    callPlugins('onFrameStart', { frame: frameCount, timestamp });
+
+    // Execute all queued callbacks
+    const callbacks = rafCallbacks.slice();
+    rafCallbacks = [];
+
+    for (const { id, callback } of callbacks) {
+      const start = realNow();
+      try {
+        callback(timestamp);
+      } catch (e) {
+        recordError('raf', e);
+      }
+      pendingProfile.callbacks.push({ id, name: callback.name || 'anonymous', ms: realNow() - start });
+    }
+
+    // Copy canvases before anything can clear a WebGL drawing buffer
+    if (canvases.length > 0) {
+      const layers = captureFrameImages();
+      if (frameCount % CONFIG.filmStripCaptureEvery === 0) captureFilmStrip(layers);
+    }
+
+    // Record frame to tape
+    const record = recordFrame(timestamp, frameDuration);
+
+    // Check invariants and breakpoints against the state this frame produced
+    if (activeReplay) checkReplayFrame(record);
+    const newlyFailing = checkInvariants(record);
+    const hit = checkBreakpoints(record);
+    callPlugins('onFrameEnd', record);
+
+    // Update debug panel
+    if (mode === 'ai' && debugPanelEl) {
+      updateDebugPanel();
+    }
+
+    isRunningFrame = false;
+    const wasRunning = !paused || stepping;
+
+    if (hit && mode === 'ai') {
+      // Breakpoint — pause on this frame, cutting any step() short
+      pauseOnFrame({ breakpoint: hit });
+    } else if (newlyFailing.length > 0 && CONFIG.pauseOnViolation && mode === 'ai') {
+      pauseOnFrame({ violations: newlyFailing });
+    } else if (stepping) {
+      stepsRemaining--;
+      if (stepsRemaining <= 0) {
+        stepping = false;
+        paused = true;
+        if (frameResolve) {
+          frameResolve({ frame: frameCount, state: getState() });
+          frameResolve = null;
+        }
+      }
+    }
+
+    if (bridge) notifyFrame(record, hit, newlyFailing, wasRunning && paused && !stepping);
+    persistFrame();
+
+    // Stubbed responses arrive between this frame and the next
+    deliverNetworkStubs();
+
+    // Keep timer-only apps ticking
+    scheduleClockFrame();
+  }
+
+  window.requestAnimationFrame = wrappedRAF;
+
+  // ============================================================
+  // FrameTape Recording
+  // ============================================================
+  function recordFrame(timestamp, duration) {
+    const frameData = {
+      frame: frameCount,
+      timestamp: timestamp,
+      duration: duration,
+      state: undefined,              // replaced by a getter in storeState()
+      events: pendingEvents.slice(),
+      network: pendingNetwork.slice(),
+      console: pendingConsole.slice(),
+      errors: jsErrors.filter(e => e.frame === frameCount),
+      violations: [],
+      performance: {
+        memory: performance.memory ? {
+          usedJSHeapSize: performance.memory.usedJSHeapSize,
+          totalJSHeapSize: performance.memory.totalJSHeapSize,
+        } : null,
+      },
+      profile: finishProfile(),
+    };
+
+    if (domRoot) captureDom(frameData);
+    if (storeAdapter || pendingActions.length > 0) frameData.actions = pendingActions.slice();
+    const serialized = serializeState();
+    if (serialized.truncated.length > 0) frameData.truncated = serialized.truncated;
+    if (randomSeed !== null) frameData.random = getRandomState();
+    storeState(frameData, serialized.state, frameTape[frameTape.length - 1]);
+    extendRecord(frameData);
+    frameTape.push(frameData);
+    eventLog.push(...pendingEvents);
+    pendingEvents = [];
+    pendingNetwork = [];
+    pendingConsole = [];
+    pendingActions = [];
+
+    // Trim tape
+    if (frameTape.length > CONFIG.maxTapeLength) {
+      frameTape = frameTape.slice(-CONFIG.maxTapeLength);
+      rebaseKeyframe(frameTape[0]);
+    }
+    // Trim event log
+    if (eventLog.length > 200) {
+      eventLog = eventLog.slice(-200);
+    }
+
+    return frameData;
+  }
+
+  // ============================================================
+  // Tape Storage (Keyframes + Deltas)
+  // ============================================================
+  // Records keep a full state copy every CONFIG.keyframeInterval frames and a
+  // structural diff against the previous record otherwise. `record.state` is
+  // an enumerable getter, so readers (and JSON.stringify) still see full state.
+  function cloneState(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  function isContainer(value) {
+    return value !== null && typeof value === 'object';
+  }
+
+  // Storage diff: { path: [segments], op: 'set' | 'delete' | 'length', value }.
+  // Arrays that changed in more than half their slots are stored whole.
+  function computeDelta(a, b, path, out) {
+    if (a === b) return out;
+    if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) {
+      out.push({ path, op: 'set', value: b });
+      return out;
+    }
+    if (Array.isArray(a)) {
+      const changes = [];
+      const common = Math.min(a.length, b.length);
+      for (let i = 0; i < common; i++) computeDelta(a[i], b[i], path.concat(i), changes);
+      for (let i = common; i < b.length; i++) changes.push({ path: path.concat(i), op: 'set', value: b[i] });
+      if (b.length < a.length) changes.push({ path, op: 'length', value: b.length });
+      if (changes.length > b.length / 2 + 1) {
+        out.push({ path, op: 'set', value: b });
+      } else {
+        out.push(...changes);
+      }
+      return out;
+    }
+    for (const key of Object.keys(a)) {
+      if (!Object.prototype.hasOwnProperty.call(b, key)) out.push({ path: path.concat(key), op: 'delete' });
+    }
+    for (const key of Object.keys(b)) {
+      computeDelta(a[key], b[key], path.concat(key), out);
+    }
+    return out;
+  }
+
+  function applyDelta(root, delta) {
+    for (const change of delta) {
+      if (change.path.length === 0 && change.op === 'set') {
+        root = cloneState(change.value);
+        continue;
+      }
+      const last = change.op === 'length' ? change.path.length : change.path.length - 1;
+      let target = root;
+      for (let i = 0; i < last; i++) target = target[change.path[i]];
+      if (change.op === 'length') {
+        target.length = change.value;
+      } else if (change.op === 'delete') {
+        delete target[change.path[last]];
+      } else {
+        target[change.path[last]] = isContainer(change.value) ? cloneState(change.value) : change.value;
+      }
+    }
+    return root;
+  }
+
+  function materializeState(record) {
+    if (materialized && materialized.record === record) return materialized.state;
+    const storage = recordStorage.get(record);
+    if (!storage) return record.state;
+
+    let state;
+    if (lastStored && lastStored.record === record) {
+      state = cloneState(lastStored.state);
+    } else {
+      // Walk back to a keyframe (or the last rebuilt record), then replay diffs
+      const chain = [];
+      let current = record;
+      let base;
+      while (true) {
+        if (materialized && materialized.record === current) {
+          base = materialized.state;
+          break;
+        }
+        const currentStorage = recordStorage.get(current);
+        if (!currentStorage) {
+          base = current.state;
+          break;
+        }
+        if (currentStorage.keyframe !== undefined) {
+          base = currentStorage.keyframe;
+          break;
+        }
+        chain.push(currentStorage.delta);
+        current = currentStorage.prev;
+      }
+      state = cloneState(base);
+      for (let i = chain.length - 1; i >= 0; i--) {
+        state = applyDelta(state, chain[i]);
+      }
+    }
+
+    materialized = { record, state };
+    return state;
+  }
+
+  function storeState(record, state, prev) {
+    let prevState;
+    if (prev) {
+      prevState = lastStored && lastStored.record === prev ? lastStored.state : materializeState(prev);
+    }
+    const prevStorage = prev ? recordStorage.get(prev) : null;
+    const depth = prevStorage ? prevStorage.depth + 1 : 0;
+    const delta = prev ? computeDelta(prevState, state, [], []) : null;
+
+    if (!prev || depth >= CONFIG.keyframeInterval) {
+      recordStorage.set(record, { prev: null, keyframe: cloneState(state), delta: null, depth: 0 });
+    } else {
+      recordStorage.set(record, { prev, keyframe: undefined, delta, depth });
+    }
+    Object.defineProperty(record, 'state', {
+      enumerable: true,
+      configurable: true,
+      // A copy: the rebuilt state is the base of the next rebuild
+      get: function () { return cloneState(materializeState(record)); },
+    });
+
+    lastStored = { record, state };
+    lastChangedKeys = new Set();
+    if (delta) {
+      delta.forEach(function (change) {
+        if (change.path.length > 0) {
+          lastChangedKeys.add(String(change.path[0]));
+        } else if (isContainer(state)) {
+          Object.keys(state).forEach(k => lastChangedKeys.add(k));
+        }
+      });
+    }
+  }
+
+  // Turns the oldest record into a keyframe after trimming, so it no longer
+  // references (and keeps alive) the records that were dropped.
+  function rebaseKeyframe(record) {
+    const storage = record ? recordStorage.get(record) : null;
+    if (!storage || storage.keyframe !== undefined) return;
+    const state = cloneState(record.state);
+    recordStorage.set(record, { prev: null, keyframe: state, delta: null, depth: 0 });
+  }
+
+  // ============================================================
+  // State Diff
+  // ============================================================
+  function formatPath(segments) {
+    return segments.map((s, i) => typeof s === 'number' ? `[${s}]` : (i === 0 ? s : '.' + s)).join('');
+  }
+
+  // Leaf-level diff for reports: { path, op: 'add' | 'remove' | 'change', from, to }
+  function diffValues(a, b, path, out) {
+    if (a === b) return out;
+    if (isContainer(a) && isContainer(b) && Array.isArray(a) === Array.isArray(b)) {
+      const keys = Array.isArray(a)
+        ? Array.from({ length: Math.max(a.length, b.length) }, (_, i) => i)
+        : Array.from(new Set([...Object.keys(a), ...Object.keys(b)]));
+      for (const key of keys) {
+        const inA = Array.isArray(a) ? key < a.length : Object.prototype.hasOwnProperty.call(a, key);
+        const inB = Array.isArray(b) ? key < b.length : Object.prototype.hasOwnProperty.call(b, key);
+        const childPath = path.concat(key);
+        if (!inA) out.push({ path: formatPath(childPath), op: 'add', to: b[key] });
+        else if (!inB) out.push({ path: formatPath(childPath), op: 'remove', from: a[key] });
+        else diffValues(a[key], b[key], childPath, out);
+      }
+      return out;
+    }
+    out.push({ path: formatPath(path), op: 'change', from: a, to: b });
+    return out;
+  }
+
+  function diffState(frameA, frameB) {
+    const a = findRecord(frameA);
+    const b = findRecord(frameB);
+    if (!a || !b) {
+      return { success: false, error: `Frame ${!a ? frameA : frameB} is not on the tape` };
+    }
+    return { success: true, from: frameA, to: frameB, changes: diffValues(a.state, b.state, [], []) };
+  }
+
+  function getChangedPaths(frame) {
+    const record = findRecord(frame);
+    const prev = findRecord(frame - 1);
+    if (!record || !prev) return null;
+    return diffValues(prev.state, record.state, [], []).map(c => c.path);
+  }
+
+  // ============================================================
+  // Profiler
+  // ============================================================
+  // Script time is measured with the native clock, so it stays real even when
+  // the virtual clock is on. Marks and measures land on the frame in progress.
+  function round2(ms) {
+    return Math.round(ms * 100) / 100;
+  }
+
+  function finishProfile() {
+    const profile = pendingProfile;
+    pendingProfile = newProfile();
+    const sum = list => list.reduce((total, entry) => total + entry.ms, 0);
+    profile.callbacks.forEach(c => { c.ms = round2(c.ms); });
+    profile.handlers.forEach(h => { h.ms = round2(h.ms); });
+    profile.timers.forEach(t => { t.ms = round2(t.ms); });
+    const moreHandlersMs = profile.moreHandlers ? profile.moreHandlers.ms : 0;
+    if (profile.moreHandlers) profile.moreHandlers.ms = round2(moreHandlersMs);
+    profile.scriptTime = round2(sum(profile.callbacks) + sum(profile.handlers) + moreHandlersMs + sum(profile.timers));
+    profile.longFrame = profile.scriptTime > CONFIG.frameBudget;
+    if (profile.longFrame) longFrameCount++;
+    return profile;
+  }
+
+  function mark(name) {
+    const entry = { name, time: realNow() };
+    pendingProfile.marks.push(entry);
+    return entry;
+  }
+
+  function findMark(name) {
+    for (let i = pendingProfile.marks.length - 1; i >= 0; i--) {
+      if (pendingProfile.marks[i].name === name) return pendingProfile.marks[i];
+    }
+    return null;
+  }
+
+  function measure(name, startMark, endMark) {
+    const start = findMark(startMark);
+    if (!start) {
+      return { success: false, error: `No mark "${startMark}" in the current frame` };
+    }
+    const end = endMark ? findMark(endMark) : { time: realNow() };
+    if (!end) {
+      return { success: false, error: `No mark "${endMark}" in the current frame` };
+    }
+    const entry = { name, ms: round2(end.time - start.time) };
+    pendingProfile.measures.push(entry);
+    return Object.assign({ success: true }, entry);
+  }
+
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1);
+    return round2(sorted[Math.max(0, index)]);
+  }
+
+  function distribution(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return {
+      min: sorted.length > 0 ? round2(sorted[0]) : null,
+      p50: percentile(sorted, 50),
+      p90: percentile(sorted, 90),
+      p95: percentile(sorted, 95),
+      p99: percentile(sorted, 99),
+      max: sorted.length > 0 ? round2(sorted[sorted.length - 1]) : null,
+      avg: sorted.length > 0 ? round2(sorted.reduce((a, b) => a + b, 0) / sorted.length) : null,
+    };
+  }
+
+  const HISTOGRAM_BUCKETS = [4, 8, 16.7, 33.3, 50, 100];
+
+  function histogram(values) {
+    const buckets = HISTOGRAM_BUCKETS.map((limit, i) => ({
+      range: `${i === 0 ? 0 : HISTOGRAM_BUCKETS[i - 1]}-${limit}ms`,
+      count: 0,
+    }));
+    buckets.push({ range: `>${HISTOGRAM_BUCKETS[HISTOGRAM_BUCKETS.length - 1]}ms`, count: 0 });
+    values.forEach(function (v) {
+      let i = HISTOGRAM_BUCKETS.findIndex(limit => v <= limit);
+      if (i === -1) i = HISTOGRAM_BUCKETS.length;
+      buckets[i].count++;
+    });
+    return buckets;
+  }
+
+  function getPerformanceReport(options) {
+    options = options || {};
+    const frames = frameTape.filter(f => f.profile).slice(-(options.lastFrames || frameTape.length));
+    const scriptTimes = frames.map(f => f.profile.scriptTime);
+
+    const byName = {};
+    const addTo = function (key, ms) {
+      const entry = byName[key] || (byName[key] = { name: key, count: 0, total: 0, max: 0 });
+      entry.count++;
+      entry.total += ms;
+      entry.max = Math.max(entry.max, ms);
+    };
+    const measures = {};
+    frames.forEach(function (f) {
+      f.profile.callbacks.forEach(c => addTo('raf:' + c.name, c.ms));
+      f.profile.handlers.forEach(h => addTo(`${h.type}:${h.name}`, h.ms));
+      f.profile.timers.forEach(t => addTo('timer:' + t.name, t.ms));
+      f.profile.measures.forEach(function (m) {
+        (measures[m.name] || (measures[m.name] = [])).push(m.ms);
+      });
+    });
+
+    const measureStats = {};
+    Object.keys(measures).forEach(function (name) {
+      measureStats[name] = Object.assign({ count: measures[name].length }, distribution(measures[name]));
+    });
+
+    return {
+      frames: frames.length,
+      budget: CONFIG.frameBudget,
+      longFrames: frames.filter(f => f.profile.longFrame).length,
+      scriptTime: distribution(scriptTimes),
+      frameDuration: distribution(frames.map(f => f.duration || 0)),
+      histogram: histogram(scriptTimes),
+      worstFrames: frames.slice()
+        .sort((a, b) => b.profile.scriptTime - a.profile.scriptTime)
+        .slice(0, options.worst || 5)
+        .map(f => ({
+          frame: f.frame,
+          scriptTime: f.profile.scriptTime,
+          duration: round2(f.duration || 0),
+          callbacks: f.profile.callbacks,
+          handlers: f.profile.handlers,
+          measures: f.profile.measures,
+        })),
+      callbacks: Object.values(byName)
+        .map(e => ({ name: e.name, count: e.count, total: round2(e.total), avg: round2(e.total / e.count), max: round2(e.max) }))
+        .sort((a, b) => b.total - a.total),
+      measures: measureStats,
+    };
+  }
+
+  // ============================================================
+  // State Serialization
+  // ============================================================
+  // State is recorded as JSON-safe data. Values JSON can't hold become
+  // tagged objects ({ $type: 'Map', entries }) that decodeState() turns back
+  // into the originals before state reaches the injector. A cycle becomes
+  // { $ref: path } pointing at the ancestor it loops back to, with paths
+  // into the recorded state ('' is the root).
+  const BUILTIN_TAGS = ['Object', 'Map', 'Set', 'Date', 'RegExp', 'Number', 'BigInt', 'ArrayBuffer', 'Node', 'Error', 'Redacted', 'Truncated'];
+  const TYPED_ARRAYS = [
+    'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+    'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array',
+  ];
+  const OMITTED = {};              // decoded marker: leave the key out
+
+  // 'a.*.token' matches one segment per '*', '**' any number of them.
+  // Map values are matched by their key, Set values by their position.
+  function pathMatches(pattern, path) {
+    function match(p, s) {
+      if (p === pattern.length) return s === path.length;
+      if (pattern[p] === '**') return match(p + 1, s) || (s < path.length && match(p, s + 1));
+      return s < path.length && (pattern[p] === '*' || pattern[p] === String(path[s])) && match(p + 1, s + 1);
+    }
+    return match(0, 0);
+  }
+
+  function isTagged(value) {
+    return Object.prototype.hasOwnProperty.call(value, '$type') || Object.prototype.hasOwnProperty.call(value, '$ref');
+  }
+
+  // `path` is the app's own structure (for redaction); `at` is where the
+  // value lands in the encoded state (for $ref)
+  function encodeValue(value, path, at, context) {
+    if (path.length > 0 && context.redact.some(pattern => pathMatches(pattern, path))) {
+      return { $type: 'Redacted' };
+    }
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : { $type: 'Number', value: String(value) };
+    if (typeof value === 'bigint') return { $type: 'BigInt', value: String(value) };
+    if (typeof value !== 'object') return undefined; // functions and symbols are left out, as in JSON
+
+    const cycle = context.stack.indexOf(value);
+    if (cycle !== -1) return { $ref: formatPath(context.stackAt[cycle]) };
+    context.stack.push(value);
+    context.stackAt.push(at);
+    try {
+      return encodeObject(value, path, at, context);
+    } finally {
+      context.stack.pop();
+      context.stackAt.pop();
+    }
+  }
+
+  function encodeObject(value, path, at, context) {
+    const custom = serializers.find(s => value instanceof s.type);
+    if (custom) {
+      return { $type: custom.name, value: encodeValue(custom.serialize(value), path, at.concat('value'), context) };
+    }
+    if (Array.isArray(value)) {
+      return value.map(function (item, i) {
+        const encoded = encodeValue(item, path.concat(i), at.concat(i), context);
+        return encoded === undefined ? null : encoded;
+      });
+    }
+    if (value instanceof Date) return { $type: 'Date', value: isNaN(value) ? null : value.toISOString() };
+    if (value instanceof RegExp) return { $type: 'RegExp', source: value.source, flags: value.flags };
+    if (value instanceof Map) {
+      return {
+        $type: 'Map',
+        entries: Array.from(value, function ([key, item], i) {
+          const segment = typeof key === 'string' || typeof key === 'number' ? key : i;
+          const encodedKey = encodeValue(key, path.concat(i), at.concat('entries', i, 0), context);
+          const encodedItem = encodeValue(item, path.concat(segment), at.concat('entries', i, 1), context);
+          return [encodedKey === undefined ? null : encodedKey, encodedItem === undefined ? null : encodedItem];
+        }),
+      };
+    }
+    if (value instanceof Set) {
+      return {
+        $type: 'Set',
+        values: Array.from(value, function (item, i) {
+          const encoded = encodeValue(item, path.concat(i), at.concat('values', i), context);
+          return encoded === undefined ? null : encoded;
+        }),
+      };
+    }
+    if (ArrayBuffer.isView(value) && TYPED_ARRAYS.includes(value.constructor.name)) {
+      return { $type: value.constructor.name, values: Array.from(value, v => (typeof v === 'bigint' ? String(v) : v)) };
+    }
+    if (value instanceof ArrayBuffer) return { $type: 'ArrayBuffer', values: Array.from(new Uint8Array(value)) };
+    if (value === window || (typeof value.nodeType === 'number' && typeof value.nodeName === 'string')) {
+      return { $type: 'Node', target: describeTarget(value) };
+    }
+    if (value instanceof Error) return { $type: 'Error', name: value.name, message: value.message };
+    if (typeof value.toJSON === 'function') return encodeValue(value.toJSON(), path, at, context);
+
+    // Plain objects that happen to use $type or $ref are wrapped, so they
+    // aren't mistaken for tags when decoded
+    const escaped = isTagged(value);
+    const base = escaped ? at.concat('value') : at;
+    const out = {};
+    Object.keys(value).forEach(function (key) {
+      const encoded = encodeValue(value[key], path.concat(key), base.concat(key), context);
+      if (encoded !== undefined) out[key] = encoded;
+    });
+    return escaped ? { $type: 'Object', value: out } : out;
+  }
+
+  // Shrinks the largest branches first until the encoded state fits in
+  // `limit` characters. Each cut is replaced by { $type: 'Truncated', length }
+  // and its path added to `cuts`; a branch whose parts can't shrink enough
+  // (e.g. a long array of numbers) is cut whole. The root is never cut.
+  function fitBudget(value, limit, at, cuts) {
+    const length = JSON.stringify(value).length;
+    if (length <= limit) return value;
+    const cut = function () {
+      const marker = { $type: 'Truncated', length };
+      if (at.length === 0 || JSON.stringify(marker).length >= length) return value; // nothing to gain
+      cuts.push(formatPath(at));
+      return marker;
+    };
+    if (!isContainer(value) || limit < 64) return cut();
+
+    const branchCuts = [];
+    const out = Array.isArray(value) ? value.slice() : Object.assign({}, value);
+    const sizes = Object.keys(out)
+      .map(key => ({ key, size: JSON.stringify(out[key]).length }))
+      .sort((a, b) => b.size - a.size);
+    let total = length;
+    for (const { key, size } of sizes) {
+      if (total <= limit) break;
+      const segment = Array.isArray(out) ? Number(key) : key;
+      out[key] = fitBudget(out[key], Math.max(0, size - (total - limit)), at.concat(segment), branchCuts);
+      total += JSON.stringify(out[key]).length - size;
+    }
+    if (total > limit && at.length > 0) return cut();
+    cuts.push(...branchCuts);
+    return out;
+  }
+
+  // → { state, truncated: [paths] }
+  function encodeState(value, maxLength) {
+    const limit = maxLength === undefined ? CONFIG.stateMaxLength : maxLength;
+    const context = {
+      redact: (CONFIG.redactPaths || []).map(p => String(p).split('.')),
+      stack: [],
+      stackAt: [],
+    };
+    let state = encodeValue(value, [], [], context);
+    const truncated = [];
+    if (limit > 0 && state !== undefined) {
+      state = fitBudget(state, limit, [], truncated);
+    }
+    return { state: state === undefined ? null : state, truncated };
+  }
+
+  function findNode(target) {
+    if (target === 'window') return window;
+    if (target === 'document') return document;
+    try {
+      return document.querySelector(target);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Object literals from any realm (a Node test driving a jsdom page passes
+  // its own); Maps, Dates, class instances and the like aren't
+  function isPlainObject(value) {
+    const proto = Object.getPrototypeOf(value);
+    return proto === null || Object.getPrototypeOf(proto) === null;
+  }
+
+  function decodeValue(value, at, refs) {
+    if (!isContainer(value)) return value;
+    if (Array.isArray(value)) {
+      const out = [];
+      refs.set(formatPath(at), out);
+      value.forEach(function (item, i) {
+        const decoded = decodeValue(item, at.concat(i), refs);
+        out.push(decoded === OMITTED ? undefined : decoded);
+      });
+      return out;
+    }
+    // Native values passed to setState() go through as they are
+    if (!isPlainObject(value)) return value;
+    if (typeof value.$ref === 'string' && Object.keys(value).length === 1) {
+      return refs.has(value.$ref) ? refs.get(value.$ref) : undefined;
+    }
+    const type = value.$type;
+    if (typeof type !== 'string') return decodeObject(value, at, at, refs);
+
+    const custom = serializers.find(s => s.name === type);
+    if (custom) {
+      const data = decodeValue(value.value, at.concat('value'), refs);
+      const result = custom.deserialize ? custom.deserialize(data) : data;
+      refs.set(formatPath(at), result);
+      return result;
+    }
+    switch (type) {
+      case 'Object':
+        return decodeObject(value.value, at.concat('value'), at, refs);
+      case 'Map': {
+        const map = new Map();
+        refs.set(formatPath(at), map);
+        (value.entries || []).forEach(function ([key, item], i) {
+          const decoded = decodeValue(item, at.concat('entries', i, 1), refs);
+          if (decoded !== OMITTED) map.set(decodeValue(key, at.concat('entries', i, 0), refs), decoded);
+        });
+        return map;
+      }
+      case 'Set': {
+        const set = new Set();
+        refs.set(formatPath(at), set);
+        (value.values || []).forEach(function (item, i) {
+          const decoded = decodeValue(item, at.concat('values', i), refs);
+          if (decoded !== OMITTED) set.add(decoded);
+        });
+        return set;
+      }
+      case 'Date':
+        return new Date(value.value === null ? NaN : value.value);
+      case 'RegExp':
+        return new RegExp(value.source, value.flags);
+      case 'Number':
+        return Number(value.value);
+      case 'BigInt':
+        return typeof BigInt === 'function' ? BigInt(value.value) : Number(value.value);
+      case 'ArrayBuffer':
+        return new Uint8Array(value.values).buffer;
+      case 'Node':
+        return findNode(value.target);
+      case 'Error':
+        return Object.assign(new Error(value.message), { name: value.name });
+      case 'Redacted':
+      case 'Truncated':
+        return OMITTED;
+      default:
+        if (TYPED_ARRAYS.includes(type) && typeof window[type] === 'function') {
+          const values = /^Big/.test(type) ? value.values.map(v => BigInt(v)) : value.values;
+          return new window[type](values);
+        }
+        return decodeObject(value, at, at, refs);
+    }
+  }
+
+  function decodeObject(value, at, registerAt, refs) {
+    const out = {};
+    refs.set(formatPath(registerAt), out);
+    Object.keys(value).forEach(function (key) {
+      const decoded = decodeValue(value[key], at.concat(key), refs);
+      if (decoded !== OMITTED) out[key] = decoded;
+    });
+    return out;
+  }
+
+  // Recorded (or agent-written) state back to app values. Plain objects and
+  // arrays are copied, so the injector can't alias what the tape holds;
+  // native values (Map, Date, class instances...) are passed through.
+  // Redacted and truncated values are left out.
+  function decodeState(value) {
+    const decoded = decodeValue(value, [], new Map());
+    return decoded === OMITTED ? undefined : decoded;
+  }
+
+  function registerSerializer(type, handlers) {
+    handlers = handlers || {};
+    if (typeof type !== 'function') {
+      return { registered: false, error: 'type must be a class (checked with instanceof)' };
+    }
+    if (typeof handlers.serialize !== 'function') {
+      return { registered: false, error: 'serialize(value) is required' };
+    }
+    const name = handlers.name || type.name;
+    if (!name || BUILTIN_TAGS.includes(name) || TYPED_ARRAYS.includes(name)) {
+      return { registered: false, error: `"${name}" can't be used as a serializer name` };
+    }
+    serializers = serializers.filter(s => s.name !== name && s.type !== type);
+    serializers.push({ type, name, serialize: handlers.serialize, deserialize: handlers.deserialize || null });
+    return { registered: true, name, serializers: serializers.map(s => s.name) };
+  }
+
+  // ============================================================
+  // State Management
+  // ============================================================
+  // → { state, truncated }; state is null without a provider
+  function serializeState() {
+    if (stateProvider) {
+      try {
+        return encodeState(stateProvider());
+      } catch (e) {
+        return { state: { error: 'Failed to serialize state: ' + e.message }, truncated: [] };
+      }
+    }
+    return { state: null, truncated: [] };
+  }
+
+  function getState() {
+    return serializeState().state;
+  }
+
+  // ============================================================
+  // Store Adapters (Redux, Zustand, MobX)
+  // ============================================================
+  // An adapter registers a store as the state provider and injector, and
+  // logs everything that changes the store onto the next frame record's
+  // `actions`: { store, type, payload?, changes, frame, timestamp }, where
+  // `changes` are the state paths the action touched. Only one store is
+  // connected at a time; disconnecting it brings back the provider and
+  // injector it replaced.
+  const SET_STATE_ACTION = '@@frametape/SET_STATE';
+
+  function logAction(store, type, payload, before, after) {
+    // Diffed encoded, so changes inside Maps, Sets and class instances count
+    const changes = before === after
+      ? []
+      : diffValues(encodeState(before, 0).state, encodeState(after, 0).state, [], []).map(c => c.path);
+    const entry = {
+      store,
+      type: type === null || type === undefined ? null : String(type),
+      frame: frameCount,
+      timestamp: performance.now(),
+      changes: changes.slice(0, CONFIG.actionChangeLimit),
+    };
+    if (changes.length > CONFIG.actionChangeLimit) entry.moreChanges = changes.length - CONFIG.actionChangeLimit;
+    if (payload !== undefined) entry.payload = encodeState(payload, CONFIG.actionPayloadLength).state;
+    pendingActions.push(entry);
+  }
+
+  // { type, payload } actions log their payload, others every field but type
+  function actionPayload(action) {
+    if ('payload' in action) return action.payload;
+    const rest = Object.assign({}, action);
+    delete rest.type;
+    return Object.keys(rest).length > 0 ? rest : undefined;
+  }
+
+  function connectStore(name, provider, injector, disconnect) {
+    disconnectStore();
+    const previous = { provider: stateProvider, injector: stateInjector };
+    stateProvider = provider;
+    stateInjector = injector;
+    storeAdapter = { name, disconnect, previous, provider };
+    return { connected: true, store: name, setState: Boolean(injector) };
+  }
+
+  function disconnectStore() {
+    if (!storeAdapter) return { disconnected: false };
+    const name = storeAdapter.name;
+    storeAdapter.disconnect();
+    // Unless the app registered another provider since
+    if (stateProvider === storeAdapter.provider) {
+      stateProvider = storeAdapter.previous.provider;
+      stateInjector = storeAdapter.previous.injector;
+    }
+    storeAdapter = null;
+    return { disconnected: true, store: name };
+  }
+
+  // setState() becomes a SET_STATE_ACTION dispatch. The store's reducer
+  // can't be read back, so the injector is only available when the app
+  // passes it in `options.reducer`; it is wrapped to merge the patch.
+  function connectRedux(store, options) {
+    options = options || {};
+    if (!store || typeof store.getState !== 'function' || typeof store.dispatch !== 'function' ||
+        typeof store.subscribe !== 'function') {
+      return { connected: false, error: 'Expected a Redux store (getState, dispatch, subscribe)' };
+    }
+    // Before wrapping: reconnecting the same store must not unwrap it again
+    disconnectStore();
+    const reducer = options.reducer && typeof store.replaceReducer === 'function' ? options.reducer : null;
+    if (reducer) {
+      store.replaceReducer(function (state, action) {
+        if (action && action.type === SET_STATE_ACTION) {
+          return isContainer(state) && !Array.isArray(state) ? Object.assign({}, state, action.payload) : action.payload;
+        }
+        return reducer(state, action);
+      });
+    }
+
+    // Plain-object actions are logged by the dispatch wrapper. Changes it
+    // didn't see (dispatches from inside middleware, e.g. thunks) are
+    // logged by the subscriber with type null.
+    const originalDispatch = store.dispatch;
+    let depth = 0;
+    let seen = store.getState();
+    store.dispatch = function (action) {
+      if (!isContainer(action) || action.type === undefined) return originalDispatch.apply(this, arguments);
+      const before = store.getState();
+      depth++;
+      try {
+        return originalDispatch.apply(this, arguments);
+      } finally {
+        depth--;
+        logAction('redux', action.type, actionPayload(action), before, store.getState());
+        seen = store.getState();
+      }
+    };
+    const unsubscribe = store.subscribe(function () {
+      const state = store.getState();
+      if (depth === 0 && state !== seen) logAction('redux', null, undefined, seen, state);
+      seen = state;
+    });
+
+    return connectStore(
+      'redux',
+      () => store.getState(),
+      reducer ? patch => store.dispatch({ type: SET_STATE_ACTION, payload: patch }) : null,
+      function () {
+        unsubscribe();
+        if (store.dispatch !== originalDispatch) store.dispatch = originalDispatch;
+        // The store's reducer can't be read, but options.reducer is the app's root reducer
+        if (reducer) store.replaceReducer(reducer);
+      }
+    );
+  }
+
+  // Zustand has no action names: calls through setState(partial, replace,
+  // name) — the devtools middleware convention — are logged with that name,
+  // and set() calls from inside the store as 'set'.
+  function connectZustand(store) {
+    if (!store || typeof store.getState !== 'function' || typeof store.setState !== 'function' ||
+        typeof store.subscribe !== 'function') {
+      return { connected: false, error: 'Expected a Zustand store (getState, setState, subscribe)' };
+    }
+    disconnectStore();
+    const originalSetState = store.setState;
+    let actionName = null;
+    store.setState = function (partial, replace, action) {
+      const previous = actionName;
+      actionName = action === undefined ? 'setState' : (action && action.type) || action;
+      try {
+        return originalSetState.apply(this, arguments);
+      } finally {
+        actionName = previous;
+      }
+    };
+    const unsubscribe = store.subscribe(function (state, previousState) {
+      logAction('zustand', actionName || 'set', undefined, previousState, state);
+    });
+
+    return connectStore(
+      'zustand',
+      () => store.getState(),
+      patch => store.setState(patch, false, SET_STATE_ACTION),
+      function () {
+        unsubscribe();
+        if (store.setState !== originalSetState) store.setState = originalSetState;
+      }
+    );
+  }
+
+  // MobX state is read with toJS(). Changes are followed with spy(), which
+  // MobX only reports in development builds: each outermost action (or a
+  // change made outside any action) is one log entry, named after the action.
+  function connectMobx(store, options) {
+    options = options || {};
+    const mobx = options.mobx || window.mobx;
+    if (!mobx || typeof mobx.toJS !== 'function' || typeof mobx.spy !== 'function') {
+      return { connected: false, error: 'Pass the MobX module: connectMobx(store, { mobx })' };
+    }
+    if (!isContainer(store)) {
+      return { connected: false, error: 'Expected an observable object' };
+    }
+    disconnectStore();
+    // Encoded, because toJS() keeps cycles that the diff would follow forever
+    const snapshot = () => encodeState(mobx.toJS(store), 0).state;
+    const open = [];               // types of the spy reports in progress
+    let started = null;            // { type, before } of the outermost action or change
+    const dispose = mobx.spy(function (event) {
+      if (event.spyReportStart) {
+        const outermost = !started && (event.type === 'action' || event.type === 'update' || event.type === 'splice' ||
+          event.type === 'add' || event.type === 'delete');
+        if (outermost) started = { depth: open.length, type: event.type === 'action' ? event.name : event.type, before: snapshot() };
+        open.push(event.type);
+      } else if (event.type === 'report-end' || event.spyReportEnd) {
+        open.pop();
+        if (started && open.length === started.depth) {
+          const action = started;
+          started = null;
+          logAction('mobx', action.type, undefined, action.before, snapshot());
+        }
+      }
+    });
+
+    return connectStore(
+      'mobx',
+      () => mobx.toJS(store),
+      function (patch) {
+        mobx.action(SET_STATE_ACTION, function () {
+          Object.keys(patch).forEach(function (key) {
+            store[key] = patch[key];
+          });
+        })();
+      },
+      dispose
+    );
+  }
+
+  // Read from the frame records, so rewinds, branches and imports need no
+  // separate log
+  function getActionLog(n) {
+    const entries = pendingActions.slice(-n);
+    for (let i = frameTape.length - 1; i >= 0 && entries.length < n; i--) {
+      const actions = frameTape[i].actions || [];
+      entries.unshift(...actions.slice(-(n - entries.length)));
+    }
+    return entries;
+  }
+
+  // ============================================================
+  // Time Travel (Rewind & Branches)
+  // ============================================================
+  function findRecord(frame) {
+    for (let i = frameTape.length - 1; i >= 0; i--) {
+      if (frameTape[i].frame === frame) return frameTape[i];
+    }
+    return null;
+  }
+
+  // Snapshot of the current timeline. Frame records are never mutated after
+  // recording, so the branch can share them with the live tape.
+  function saveTimeline() {
+    const existing = branches.get(currentBranch);
+    branches.set(currentBranch, {
+      name: currentBranch,
+      parent: existing ? existing.parent : null,
+      forkFrame: existing ? existing.forkFrame : null,
+      frameCount,
+      tape: frameTape.slice(),
+      eventLog: eventLog.slice(),
+      networkLog: networkLog.slice(),
+      consoleLog: consoleLog.slice(),
+      filmStrip: filmStripBuffer.slice(),
+      domSnapshots: domSnapshots.slice(),
+      errors: jsErrors.slice(),
+    });
+  }
+
+  function loadTimeline(branch) {
+    currentBranch = branch.name;
+    frameCount = branch.frameCount;
+    frameTape = branch.tape.slice();
+    eventLog = branch.eventLog.slice();
+    networkLog = branch.networkLog.slice();
+    consoleLog = branch.consoleLog.slice();
+    filmStripBuffer = branch.filmStrip.slice();
+    domSnapshots = branch.domSnapshots.slice();
+    releaseFrameImages(frameImages);
+    frameImages = [];
+    resetErrors(branch.errors.slice(), 0);
+    pendingEvents = [];
+  }
+
+  function injectRecordedState(record) {
+    stateInjector(decodeState(record.state));
+    pendingActions = [];           // the injection itself isn't app activity
+    if (record.random) setRandomState(record.random);
+    lastFrameTime = record.timestamp;
+    if (virtualClock) virtualTime = record.timestamp;
+  }
+
+  // Timers set after the rewound frame belong to the discarded future. The
+  // rest stay, with intervals moved to their first tick after the restored
+  // time; one-shot timers that already fired can't be brought back.
+  function rewindTimers(frame, time) {
+    virtualTimers = virtualTimers.filter(t => t.frame <= frame);
+    virtualTimers.forEach(function (timer) {
+      if (timer.interval !== null && timer.due > time) {
+        timer.due -= (Math.ceil((timer.due - time) / timer.interval) - 1) * timer.interval;
+      }
+    });
+  }
+
+  // Only 'ai' mode has a frame loop to pause; in 'user' mode the app goes on
+  // from the restored state
+  function freezeAt(record) {
+    paused = mode === 'ai';
+    stepping = false;
+    stepsRemaining = 0;
+    injectRecordedState(record);
+    if (mode === 'ai' && debugPanelEl) {
+      updateDebugPanel();
+    }
+  }
+
+  function rewindTo(frame, branchName) {
+    if (!stateInjector) {
+      return { success: false, error: 'No state injector registered' };
+    }
+    const record = findRecord(frame);
+    if (!record) {
+      return { success: false, error: `Frame ${frame} is not on the tape` };
+    }
+    if (branchName) {
+      if (branches.has(branchName) || branchName === currentBranch) {
+        return { success: false, error: `Branch "${branchName}" already exists` };
+      }
+      // Keep the timeline we are leaving intact so it can be compared later
+      saveTimeline();
+      branches.set(branchName, {
+        name: branchName,
+        parent: currentBranch,
+        forkFrame: frame,
+      });
+      currentBranch = branchName;
+    }
+
+    frameCount = frame;
+    frameTape = frameTape.filter(f => f.frame <= frame);
+    eventLog = eventLog.filter(e => e.frame <= frame);
+    networkLog = networkLog.filter(e => e.frame <= frame);
+    consoleLog = consoleLog.filter(e => e.frame <= frame);
+    filmStripBuffer = filmStripBuffer.filter(f => f.frame <= frame);
+    domSnapshots = domSnapshots.filter(s => s.frame <= frame);
+    releaseFrameImages(frameImages.filter(f => f.frame > frame));
+    frameImages = frameImages.filter(f => f.frame <= frame);
+    resetErrors(jsErrors.filter(e => e.frame <= frame), errorsDropped);
+    // Whatever was waiting for the next frame came from the discarded future
+    pendingEvents = [];
+    pendingNetwork = [];
+    pendingConsole = [];
+    queuedInputs = [];
+    stubDeliveries = [];
+    pendingMutations = [];
+    droppedMutations = 0;
+    if (domObserver) domObserver.takeRecords();
+    if (virtualClock) rewindTimers(frame, record.timestamp);
+    freezeAt(record);
+
+    return { success: true, frame, branch: currentBranch, state: getState() };
+  }
+
+  function switchBranch(name) {
+    if (name === currentBranch) {
+      return { success: true, branch: name, frame: frameCount, state: getState() };
+    }
+    const target = branches.get(name);
+    if (!target) {
+      return { success: false, error: `Unknown branch "${name}"` };
+    }
+    if (!stateInjector) {
+      return { success: false, error: 'No state injector registered' };
+    }
+    saveTimeline();
+    loadTimeline(target);
+    const last = frameTape[frameTape.length - 1];
+    if (last) freezeAt(last);
+    return { success: true, branch: name, frame: frameCount, state: getState() };
+  }
+
+  function getTimeline(name) {
+    if (name === currentBranch) {
+      return { tape: frameTape, forkFrame: (branches.get(name) || {}).forkFrame };
+    }
+    const branch = branches.get(name);
+    return branch && branch.tape ? branch : null;
+  }
+
+  function compareBranches(nameA, nameB) {
+    const a = getTimeline(nameA);
+    const b = getTimeline(nameB);
+    if (!a || !b) {
+      return { success: false, error: `Unknown branch "${!a ? nameA : nameB}"` };
+    }
+
+    const framesB = new Map(b.tape.map(f => [f.frame, f]));
+    let firstDivergentFrame = null;
+    for (const recordA of a.tape) {
+      const recordB = framesB.get(recordA.frame);
+      if (!recordB) continue;
+      if (JSON.stringify(recordA.state) !== JSON.stringify(recordB.state)) {
+        firstDivergentFrame = recordA.frame;
+        break;
+      }
+    }
+
+    const lastA = a.tape[a.tape.length - 1] || null;
+    const lastB = b.tape[b.tape.length - 1] || null;
+    const stateA = lastA && lastA.state ? lastA.state : {};
+    const stateB = lastB && lastB.state ? lastB.state : {};
+    const keys = new Set([...Object.keys(stateA), ...Object.keys(stateB)]);
+    const differences = {};
+    keys.forEach(function (key) {
+      if (JSON.stringify(stateA[key]) !== JSON.stringify(stateB[key])) {
+        differences[key] = { [nameA]: stateA[key], [nameB]: stateB[key] };
+      }
+    });
+
+    return {
+      success: true,
+      branches: [nameA, nameB],
+      firstDivergentFrame,
+      lastFrame: { [nameA]: lastA ? lastA.frame : null, [nameB]: lastB ? lastB.frame : null },
+      differences,
+    };
+  }
+
+  // ============================================================
+  // Breakpoints & Watches
+  // ============================================================
+  // Paths use dot/bracket notation: "score", "snake[0].x", "doppelganger.active"
+  // `path` is 'a.b[0]' or, for keys that contain dots, an array of keys
+  function resolvePath(obj, path) {
+    const parts = Array.isArray(path) ? path : String(path).replace(/\[(\w+)\]/g, '.$1').split('.').filter(Boolean);
+    let value = obj;
+    for (const part of parts) {
+      if (value === null || value === undefined) return undefined;
+      value = value[part];
+    }
+    return value;
+  }
+
+  const CONDITION_PATTERN = /^(.+?)\s*(===|!==|==|!=|>=|<=|>|<)\s*(.+)$/;
+
+  function compileOperand(text) {
+    text = text.trim();
+    if (text === 'undefined') return function () { return undefined; };
+    try {
+      const literal = JSON.parse(text.replace(/^'(.*)'$/, '"$1"'));
+      return function () { return literal; };
+    } catch (e) {
+      return function (state) { return resolvePath(state, text); };
+    }
+  }
+
+  // Turns a predicate function or a condition string ("score > 3",
+  // "direction === 'left'", "!started") into a (state, record) → boolean test
+  function compileCondition(condition) {
+    if (typeof condition === 'function') return condition;
+
+    const text = String(condition).trim();
+    const match = text.match(CONDITION_PATTERN);
+    if (!match) {
+      if (text.startsWith('!')) {
+        const operand = compileOperand(text.slice(1));
+        return function (state) { return !operand(state); };
+      }
+      const operand = compileOperand(text);
+      return function (state) { return Boolean(operand(state)); };
+    }
+
+    const left = compileOperand(match[1]);
+    const right = compileOperand(match[3]);
+    const op = match[2];
+    return function (state) {
+      const a = left(state);
+      const b = right(state);
+      switch (op) {
+        case '===': return a === b;
+        case '!==': return a !== b;
+        case '==': return a == b;
+        case '!=': return a != b;
+        case '>=': return a >= b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '<': return a < b;
+      }
+      return false;
+    };
+  }
+
+  function addBreakpoint(condition, options) {
+    options = options || {};
+    const breakpoint = {
+      id: ++breakpointIdCounter,
+      label: options.label || (typeof condition === 'function' ? `breakpoint #${breakpointIdCounter}` : String(condition)),
+      test: compileCondition(condition),
+      once: !!options.once,
+    };
+    breakpoints.push(breakpoint);
+    return breakpoint;
+  }
+
+  function removeBreakpoint(id) {
+    const before = breakpoints.length;
+    breakpoints = breakpoints.filter(b => b.id !== id);
+    return breakpoints.length !== before;
+  }
+
+  // Returns the first breakpoint that matches this frame, or null. A throwing
+  // predicate counts as "no match" so a half-initialized state can't break the loop.
+  function checkBreakpoints(record) {
+    for (const breakpoint of breakpoints) {
+      let matched = false;
+      try {
+        matched = breakpoint.test(record.state, record);
+      } catch (e) {
+        matched = false;
+      }
+      if (!matched) continue;
+
+      const hit = { id: breakpoint.id, label: breakpoint.label, frame: record.frame, timestamp: record.timestamp };
+      record.breakpoint = { id: hit.id, label: hit.label };
+      breakpointHits.push(hit);
+      if (breakpointHits.length > 100) {
+        breakpointHits = breakpointHits.slice(-100);
+      }
+      if (breakpoint.once) removeBreakpoint(breakpoint.id);
+      return hit;
+    }
+    return null;
+  }
+
+  function runUntil(condition, options) {
+    options = options || {};
+    // Only 'ai' mode stops the loop on a match
+    if (mode !== 'ai') {
+      return Promise.resolve({
+        matched: false, frame: frameCount, record: null, breakpoint: null,
+        error: 'runUntil() needs \'ai\' mode: call setMode(\'ai\') first',
+      });
+    }
+    supersedePendingStep();
+    const maxFrames = options.maxFrames || 10000;
+    const timeout = options.timeout || 30000;
+    const breakpoint = addBreakpoint(condition, { label: options.label, once: true });
+
+    stepsRemaining = maxFrames;
+    stepping = true;
+    paused = false;
+    if (hasPendingFrameWork()) {
+      requestFrame(0);
+    }
+
+    return new Promise(function (resolve) {
+      const finish = function (result) {
+        removeBreakpoint(breakpoint.id);
+        const matched = !!(result.breakpoint && result.breakpoint.id === breakpoint.id);
+        resolve({
+          matched,
+          frame: result.frame,
+          record: matched ? findRecord(result.frame) : null,
+          breakpoint: result.breakpoint || null,
+          violations: result.violations || undefined,
+          timeout: result.timeout || undefined,
+          superseded: result.superseded || undefined,
+        });
+      };
+      frameResolve = finish;
+      originalSetTimeout.call(window, function () {
+        if (frameResolve === finish) {
+          frameResolve = null;
+          stepping = false;
+          stepsRemaining = 0;
+          paused = true;
+          finish({ frame: frameCount, timeout: true });
+        }
+      }, timeout);
+    });
+  }
+
+  function addWatch(expression, label) {
+    const watch = {
+      id: ++watchIdCounter,
+      label: label || (typeof expression === 'function' ? `watch #${watchIdCounter}` : String(expression)),
+      read: typeof expression === 'function'
+        ? expression
+        : (CONDITION_PATTERN.test(String(expression)) || String(expression).trim().startsWith('!')
+          ? compileCondition(expression)
+          : function (state) { return resolvePath(state, expression); }),
+    };
+    watches.push(watch);
+    return watch;
+  }
+
+  function readWatches(state) {
+    return watches.map(function (watch) {
+      let value;
+      try {
+        value = watch.read(state);
+      } catch (e) {
+        value = 'Error: ' + e.message;
+      }
+      return { id: watch.id, label: watch.label, value };
+    });
+  }
+
+  // ============================================================
+  // Tape Queries
+  // ============================================================
+  // `where` is a condition (string or (state, record) function) or an object
+  // combining filters; cheap record-level filters run before state is rebuilt.
+  function compileQuery(where) {
+    if (!where) return function () { return true; };
+    if (typeof where === 'string' || typeof where === 'function') {
+      const test = compileCondition(where);
+      return function (record) { return test(record.state, record); };
+    }
+
+    const checks = [];
+    if (where.eventType) {
+      const types = [].concat(where.eventType);
+      checks.push(r => r.events.some(e => types.includes(e.type)));
+    }
+    if (where.hasEvents !== undefined) {
+      checks.push(r => (r.events.length > 0) === !!where.hasEvents);
+    }
+    if (where.hasErrors !== undefined) {
+      checks.push(r => ((r.errors || []).length > 0) === !!where.hasErrors);
+    }
+    if (where.hasViolations !== undefined) {
+      checks.push(r => ((r.violations || []).length > 0) === !!where.hasViolations);
+    }
+    if (where.minDuration !== undefined) {
+      checks.push(r => r.duration > where.minDuration);
+    }
+    if (where.maxDuration !== undefined) {
+      checks.push(r => r.duration < where.maxDuration);
+    }
+    if (where.changed) {
+      const paths = [].concat(where.changed);
+      checks.push(function (r, prev) {
+        if (!prev) return false;
+        return paths.some(p => JSON.stringify(resolvePath(prev.state, p)) !== JSON.stringify(resolvePath(r.state, p)));
+      });
+    }
+    if (where.condition) {
+      [].concat(where.condition).forEach(function (condition) {
+        const test = compileCondition(condition);
+        checks.push(r => test(r.state, r));
+      });
+    }
+
+    return function (record, prev) {
+      for (const check of checks) {
+        try {
+          if (!check(record, prev)) return false;
+        } catch (e) {
+          return false;
+        }
+      }
+      return true;
+    };
+  }
+
+  // Calls visit(record) for each matching record until it returns false.
+  // Returns an error message if a string or function `where` fails, since
+  // a query that silently matched nothing would look like an answer.
+  function scanTape(where, options, visit) {
+    options = options || {};
+    let matches;
+    try {
+      matches = compileQuery(where);
+    } catch (e) {
+      return 'Invalid where: ' + describeThrown(e).message;
+    }
+    const from = options.from || 0;
+    const to = options.to === undefined ? Infinity : options.to;
+    const descending = options.order === 'desc';
+    const length = frameTape.length;
+
+    for (let n = 0; n < length; n++) {
+      const i = descending ? length - 1 - n : n;
+      const record = frameTape[i];
+      if (record.frame < from || record.frame > to) continue;
+      let matched;
+      try {
+        matched = matches(record, i > 0 ? frameTape[i - 1] : null);
+      } catch (e) {
+        return `where threw at frame ${record.frame}: ${describeThrown(e).message}`;
+      }
+      if (matched && visit(record) === false) return null;
+    }
+    return null;
+  }
+
+  function selectFields(record, select) {
+    if (!select) return record;
+    const row = { frame: record.frame };
+    [].concat(select).forEach(function (path) {
+      row[path] = resolvePath(record, path);
+    });
+    return row;
+  }
+
+  function queryTape(query) {
+    query = query || {};
+    const limit = query.limit === undefined ? 100 : query.limit;
+    const rows = [];
+    let total = 0;
+    const error = scanTape(query.where, query, function (record) {
+      total++;
+      if (rows.length < limit) rows.push(selectFields(record, query.select));
+    });
+    if (error) return { success: false, error };
+    return { total, count: rows.length, rows };
+  }
+
+  function valuesOf(path, options) {
+    options = options || {};
+    const statePath = 'state.' + path;
+    const values = [];
+    let last;
+    const error = scanTape(options.where, options, function (record) {
+      const value = resolvePath(record, statePath);
+      const encoded = JSON.stringify(value);
+      if (options.changesOnly && values.length > 0 && encoded === last) return true;
+      last = encoded;
+      values.push({ frame: record.frame, value });
+      return !(options.limit && values.length >= options.limit);
+    });
+    if (error) return { success: false, error };
+    return values;
+  }
+
+  // ============================================================
+  // Invariants
+  // ============================================================
+  function addInvariant(name, check) {
+    invariants = invariants.filter(i => i.name !== name);
+    invariants.push({
+      name,
+      test: compileCondition(check),
+      failing: false,
+      violationCount: 0,
+    });
+  }
+
+  // Runs every invariant against the frame's state and records violations on
+  // the frame. Returns the violations of invariants that were passing before.
+  function checkInvariants(record) {
+    const newlyFailing = [];
+    for (const invariant of invariants) {
+      let message = null;
+      try {
+        if (!invariant.test(record.state, record)) {
+          message = 'Invariant returned false';
+        }
+      } catch (e) {
+        message = 'Invariant threw: ' + e.message;
+      }
+
+      if (message === null) {
+        invariant.failing = false;
+        continue;
+      }
+
+      const violation = { name: invariant.name, message, frame: record.frame, timestamp: record.timestamp };
+      record.violations.push(violation);
+      invariantViolations.push(violation);
+      invariant.violationCount++;
+      violationCount++;
+      if (!invariant.failing) newlyFailing.push(violation);
+      invariant.failing = true;
+    }
+
+    if (invariantViolations.length > 200) {
+      invariantViolations = invariantViolations.slice(-200);
+    }
+    return newlyFailing;
+  }
+
+  // ============================================================
+  // Sessions (Input Recording & Replay)
+  // ============================================================
+  function startSession(seed) {
+    if (seed === undefined || seed === null) {
+      seed = randomSeed !== null ? randomSeed : Math.floor(originalMathRandom() * 4294967296);
+    }
+    // Re-seed so the RNG position at the session start is known
+    setRandomSeed(seed);
+    session = {
+      seed,
+      startFrame: frameCount,
+      initialState: getState(),
+      inputs: [],
+      network: [],
+    };
+    return session;
+  }
+
+  function exportSession() {
+    let source = session;
+    let warning;
+    if (!source) {
+      // No explicit recording — reconstruct what we can from the tape
+      const first = frameTape[0];
+      source = {
+        seed: randomSeed,
+        startFrame: first ? first.frame : frameCount,
+        initialState: first ? first.state : getState(),
+        inputs: eventLog.filter(e => first && e.frame >= first.frame && e.target !== undefined),
+        network: [],
+      };
+      warning = 'No startSession() recording: initial state and inputs were taken from the tape, and the RNG position is unknown';
+    }
+
+    const exported = {
+      format: 'frametape-session',
+      version: 1,
+      seed: source.seed,
+      startFrame: source.startFrame,
+      endFrame: frameCount,
+      initialState: source.initialState,
+      inputs: source.inputs.map(e => Object.assign({}, e)),
+      network: source.network.map(e => Object.assign({}, e)),
+      states: frameTape
+        .filter(f => f.frame > source.startFrame)
+        .map(f => ({ frame: f.frame, state: f.state })),
+    };
+    if (warning) exported.warning = warning;
+    return exported;
+  }
+
+  function checkReplayFrame(record) {
+    if (!activeReplay.expected.has(record.frame)) return;
+    activeReplay.framesCompared++;
+    if (activeReplay.firstMismatch) return;
+
+    const expected = activeReplay.expected.get(record.frame);
+    if (JSON.stringify(expected) === JSON.stringify(record.state)) return;
+
+    const actual = record.state || {};
+    const keys = new Set([...Object.keys(expected || {}), ...Object.keys(actual)]);
+    activeReplay.firstMismatch = {
+      frame: record.frame,
+      keys: Array.from(keys).filter(k => JSON.stringify((expected || {})[k]) !== JSON.stringify(actual[k])),
+      expected,
+      actual: record.state,
+    };
+  }
+
+  function replaySession(recorded, options) {
+    options = options || {};
+    if (!recorded || recorded.format !== 'frametape-session') {
+      return Promise.resolve({ success: false, error: 'Not a FrameTape session' });
+    }
+    if (!stateInjector) {
+      return Promise.resolve({ success: false, error: 'No state injector registered' });
+    }
+
+    // Reset the app to the recorded starting point
+    supersedePendingStep();
+    // Stepping needs 'ai' mode, but not setMode()'s debug panel; the mode the
+    // page was in comes back when the replay ends
+    const previousMode = mode;
+    mode = 'ai';
+    if (recorded.seed !== null && recorded.seed !== undefined) setRandomSeed(recorded.seed);
+    stateInjector(decodeState(recorded.initialState));
+    pendingActions = [];
+    frameCount = recorded.startFrame;
+    frameTape = [];
+    eventLog = [];
+    pendingEvents = [];
+    networkLog = [];
+    pendingNetwork = [];
+    consoleLog = [];
+    pendingConsole = [];
+    filmStripBuffer = [];
+    domSnapshots = [];
+    releaseFrameImages(frameImages);
+    frameImages = [];
+    queuedInputs = [];
+    recorded.inputs.forEach(e => queueInput(e.frame + 1, e));
+
+    // Answer requests from the recording instead of the network
+    const savedStubs = { stubs: networkStubs, passthrough: networkPassthrough };
+    const offline = options.stubNetwork !== false && recorded.network && recorded.network.length > 0;
+    if (offline) {
+      stubDeliveries = [];
+      stubNetwork(stubsFromSession(recorded.network), { passthrough: false });
+    }
+
+    activeReplay = {
+      expected: new Map(recorded.states.map(f => [f.frame, f.state])),
+      framesCompared: 0,
+      firstMismatch: null,
+    };
+
+    const totalFrames = recorded.endFrame - recorded.startFrame;
+    stepsRemaining = totalFrames;
+    stepping = totalFrames > 0;
+    paused = totalFrames <= 0;
+    if (stepping && hasPendingFrameWork()) {
+      requestFrame(0);
+    }
+
+    return new Promise(function (resolve) {
+      const finish = function (result) {
+        const replay = activeReplay;
+        activeReplay = null;
+        if (offline) {
+          networkStubs = savedStubs.stubs;
+          networkPassthrough = savedStubs.passthrough;
+        }
+        if (previousMode !== 'ai') {
+          mode = previousMode;
+          paused = false;
+          stepping = false;
+          stepsRemaining = 0;
+          if (hasPendingFrameWork()) requestFrame(0);
+        }
+        resolve({
+          success: true,
+          matched: !replay.firstMismatch && frameCount === recorded.endFrame,
+          framesReplayed: frameCount - recorded.startFrame,
+          framesCompared: replay.framesCompared,
+          firstMismatch: replay.firstMismatch,
+          stoppedEarly: frameCount !== recorded.endFrame
+            ? (result.breakpoint ? 'breakpoint' : result.violations ? 'violation' : result.superseded ? 'superseded' : 'timeout')
+            : undefined,
+        });
+      };
+      if (!stepping) {
+        finish({});
+        return;
+      }
+      frameResolve = finish;
+      originalSetTimeout.call(window, function () {
+        if (frameResolve === finish) {
+          frameResolve = null;
+          pauseOnFrame({});
+          finish({ timeout: true });
+        }
+      }, options.timeout || 60000);
+    });
+  }
+
+  // ============================================================
+  // Test Generation
+  // ============================================================
+  // Turns a tape segment into a standalone test: seed the RNG, inject the
+  // state at the end of `from`, queue the inputs recorded up to `to`, step,
+  // then assert the recorded end state. Frames in the generated script count
+  // from the segment start, since the test's own frame numbers differ.
+  const TEST_TARGETS = ['node', 'playwright'];
+  const INPUT_FIELDS = [
+    'type', 'key', 'code', 'x', 'y', 'button', 'buttons', 'target', 'ctrlKey', 'shiftKey', 'altKey', 'metaKey',
+    'pointerId', 'pointerType', 'deltaX', 'deltaY', 'deltaMode', 'value', 'checked',
+  ];
+
+  function pickInput(event) {
+    const picked = {};
+    INPUT_FIELDS.forEach(function (field) {
+      if (event[field] !== undefined) picked[field] = event[field];
+    });
+    return picked;
+  }
+
+  // Input events that reached the app before each frame of (from, to]
+  function segmentInputs(from, to) {
+    const inputs = [];
+    frameTape.forEach(function (record) {
+      if (record.frame <= from || record.frame > to) return;
+      record.events.forEach(function (event) {
+        if (event.target === undefined) return;
+        inputs.push(Object.assign({ frame: record.frame - from }, pickInput(event)));
+      });
+    });
+    return inputs;
+  }
+
+  // Same-origin URLs become paths, so stubs match wherever the test serves the app
+  function segmentNetwork(from, to) {
+    if (!session) return [];
+    const shift = f => (f === undefined ? undefined : f - from);
+    const origin = window.location.origin;
+    return stubsFromSession(session.network.filter(e => e.frame >= from && e.frame <= to)).map(function (rule) {
+      const shifted = Object.assign({}, rule, { atFrame: shift(rule.atFrame), openFrame: shift(rule.openFrame), closeFrame: shift(rule.closeFrame) });
+      if (origin && origin !== 'null' && rule.url.indexOf(origin + '/') === 0) shifted.url = rule.url.slice(origin.length);
+      if (rule.messages) shifted.messages = rule.messages.map(m => ({ data: m.data, atFrame: shift(m.atFrame) }));
+      return JSON.parse(JSON.stringify(shifted));
+    });
+  }
+
+  // JSON with continuation lines indented to sit inside generated code
+  function codeLiteral(value, indent) {
+    if (value === undefined) return 'undefined';
+    return JSON.stringify(value, null, 2).replace(/\n/g, '\n' + (indent || ''));
+  }
+
+  function expectedLines(expected, indent) {
+    return expected.map(e => `${indent}{ path: ${JSON.stringify(e.path)}, value: ${codeLiteral(e.value, indent)} },`).join('\n');
+  }
+
+  // Stubs the recorded responses, moved from segment frames to test frames
+  function stubLines(indent, network) {
+    return [
+      'const shift = f => (typeof f === \'number\' ? start + f : f);',
+      `api.stubNetwork(${network}.map(rule => Object.assign({}, rule, {`,
+      '  atFrame: shift(rule.atFrame), openFrame: shift(rule.openFrame), closeFrame: shift(rule.closeFrame),',
+      '  messages: rule.messages && rule.messages.map(m => ({ data: m.data, atFrame: shift(m.atFrame) })),',
+      '})), { passthrough: false });',
+    ].map(line => indent + line);
+  }
+
+  // Same path syntax as resolvePath(): 'snake[0].x' and 'snake.0.x'
+  const VALUE_AT_SOURCE = [
+    'function valueAt(state, path) {',
+    '  return path.replace(/\\[(\\w+)\\]/g, \'.$1\').split(\'.\').filter(Boolean)',
+    '    .reduce((value, key) => (value == null ? undefined : value[key]), state);',
+    '}',
+  ].join('\n');
+
+  function testHeader(spec, runHint) {
+    return [
+      `// FrameTape regression test: frames ${spec.from + 1}–${spec.to} of ${spec.url}`,
+      `// Generated by generateTest() on ${spec.createdAt}.`,
+      ...runHint,
+      ...spec.warnings.map(w => `// Warning: ${w}`),
+    ].join('\n');
+  }
+
+  function testData(spec) {
+    const lines = [
+      `const SEED = ${codeLiteral(spec.seed)};`,
+      `// Random generator position at the end of frame ${spec.from} (getRandomState())`,
+      `const RANDOM_STATE = ${codeLiteral(spec.random)};`,
+      `const FRAMES = ${spec.frames};`,
+      `const VIRTUAL_CLOCK = ${spec.virtualClock};`,
+      '',
+      `// State at the end of frame ${spec.from}`,
+      `const START_STATE = ${codeLiteral(spec.startState)};`,
+      '',
+      '// Recorded input; `frame` is the segment frame it arrives before',
+      `const INPUTS = ${codeLiteral(spec.inputs)};`,
+    ];
+    if (spec.network.length > 0) {
+      lines.push('', '// Recorded responses, answered instead of the network', `const NETWORK = ${codeLiteral(spec.network)};`);
+    }
+    lines.push(
+      '',
+      `// Expected at the end of frame ${spec.to} ('' is the whole state)`,
+      `const EXPECTED = [\n${expectedLines(spec.expected, '  ')}\n];`,
+      '',
+      VALUE_AT_SOURCE
+    );
+    return lines.join('\n');
+  }
+
+  function renderNodeTest(spec) {
+    return [
+      testHeader(spec, [
+        '// Runs on the headless harness (needs jsdom); from the project root:',
+        `//   node --test ${spec.filename}`,
+      ]),
+      '\'use strict\';',
+      '',
+      'const test = require(\'node:test\');',
+      'const assert = require(\'assert\');',
+      'const path = require(\'path\');',
+      'const { createHarness } = require(path.resolve(\'headless/harness\'));',
+      '',
+      `const HTML = ${JSON.stringify(spec.html)};`,
+      testData(spec),
+      '',
+      `test(${JSON.stringify(spec.name)}, function () {`,
+      '  const page = createHarness({ html: HTML, seed: SEED, virtualClock: VIRTUAL_CLOCK });',
+      '  const api = page.api;',
+      '  try {',
+      '    api.setState(START_STATE);',
+      '    if (RANDOM_STATE !== null) api.setRandomState(RANDOM_STATE);',
+      '    const start = api.getFrameCount();',
+      ...(spec.network.length > 0 ? stubLines('    ', 'NETWORK') : []),
+      '    INPUTS.forEach(event => api.input.queue(event, { atFrame: start + event.frame }));',
+      '',
+      '    page.step(FRAMES);',
+      '    assert.strictEqual(api.getFrameCount(), start + FRAMES, \'the app stopped requesting frames\');',
+      '',
+      '    // Page objects belong to the jsdom realm, so compare plain copies',
+      '    const state = JSON.parse(JSON.stringify(api.getState()));',
+      '    EXPECTED.forEach(({ path, value }) => assert.deepStrictEqual(valueAt(state, path), value, path || \'state\'));',
+      spec.assertNoErrors ? '    assert.deepStrictEqual(Array.from(api.getErrors().filter(e => e.frame > start), e => e.message), []);' : null,
+      '  } finally {',
+      '    page.close();',
+      '  }',
+      '});',
+      '',
+    ].filter(line => line !== null).join('\n');
+  }
+
+  function renderPlaywrightTest(spec) {
+    return [
+      testHeader(spec, [
+        '// Runs in a browser with Playwright Test; serve the app, then:',
+        `//   npx playwright test ${spec.filename}`,
+      ]),
+      '\'use strict\';',
+      '',
+      'const { test, expect } = require(\'@playwright/test\');',
+      '',
+      `const URL = ${JSON.stringify(spec.url)};`,
+      testData(spec),
+      '',
+      `test(${JSON.stringify(spec.name)}, async ({ page }) => {`,
+      '  await page.goto(URL);',
+      '  await page.waitForFunction(() => window.__AI_DEBUG__);',
+      '',
+      `  const start = await page.evaluate(({ randomState, virtualClock, startState, inputs${spec.network.length > 0 ? ', network' : ''} }) => {`,
+      '    const api = window.__AI_DEBUG__;',
+      '    api.setMode(\'ai\');',
+      '    api.pause();',
+      '    if (virtualClock) api.enableVirtualClock();',
+      '    api.setState(startState);',
+      '    if (randomState !== null) api.setRandomState(randomState);',
+      '    const start = api.getFrameCount();',
+      ...(spec.network.length > 0 ? stubLines('    ', 'network') : []),
+      '    inputs.forEach(event => api.input.queue(event, { atFrame: start + event.frame }));',
+      '    return start;',
+      `  }, { randomState: RANDOM_STATE, virtualClock: VIRTUAL_CLOCK, startState: START_STATE, inputs: INPUTS${spec.network.length > 0 ? ', network: NETWORK' : ''} });`,
+      '',
+      '  await page.evaluate(frames => window.__AI_DEBUG__.stepSync(frames), FRAMES);',
+      '  await page.waitForFunction(() => !window.__AI_DEBUG__.getSummary().stepping, null, { timeout: 60000 });',
+      '',
+      '  const result = await page.evaluate(() => ({',
+      '    frame: window.__AI_DEBUG__.getFrameCount(),',
+      '    state: window.__AI_DEBUG__.getState(),',
+      '    errors: window.__AI_DEBUG__.getErrors(),',
+      '  }));',
+      '  expect(result.frame, \'the app stopped requesting frames\').toBe(start + FRAMES);',
+      '  EXPECTED.forEach(({ path, value }) => expect(valueAt(result.state, path), path || \'state\').toEqual(value));',
+      spec.assertNoErrors ? '  expect(result.errors.filter(e => e.frame > start).map(e => e.message)).toEqual([]);' : null,
+      '});',
+      '',
+    ].filter(line => line !== null).join('\n');
+  }
+
+  function defaultTestHtml() {
+    const file = window.location.pathname.split('/').pop();
+    return /\.html?$/.test(file) ? file : 'index.html';
+  }
+
+  function generateTest(options) {
+    options = options || {};
+    const target = options.target || 'node';
+    if (!TEST_TARGETS.includes(target)) {
+      return { success: false, error: `Unknown target "${target}" (use ${TEST_TARGETS.join(' or ')})` };
+    }
+    if (frameTape.length === 0) {
+      return { success: false, error: 'The tape is empty' };
+    }
+    const first = frameTape[0].frame;
+    const last = frameTape[frameTape.length - 1].frame;
+    const from = options.from === undefined ? first : options.from;
+    const to = options.to === undefined ? last : options.to;
+    if (to <= from) {
+      return { success: false, error: '`to` must be after `from`' };
+    }
+    const startRecord = findRecord(from);
+    const endRecord = findRecord(to);
+    if (!startRecord || !endRecord) {
+      return { success: false, error: `Frames ${from}–${to} are not on the tape (it holds ${first}–${last})` };
+    }
+    if (!stateProvider) {
+      return { success: false, error: 'No state provider registered' };
+    }
+
+    const endState = endRecord.state;
+    const expected = [].concat(options.assertions === undefined ? '' : options.assertions)
+      .map(path => ({ path, value: path ? resolvePath(endState, path) : endState }));
+
+    const warnings = [];
+    let random = startRecord.random || null;
+    if (session && session.startFrame === from) {
+      random = { seed: session.seed, streams: {} };
+    } else if (!random && randomSeed === null) {
+      warnings.push('No random seed was set while recording, so random values will differ');
+    } else if (!random) {
+      random = { seed: randomSeed, streams: {} };
+      warnings.push(`The random generator position at frame ${from} was not recorded (the seed was set later), so values derived from random numbers may differ`);
+    }
+    const network = segmentNetwork(from, to);
+    if (network.length === 0 && networkLog.some(e => e.frame >= from && e.frame <= to)) {
+      warnings.push('Network traffic in this segment was not recorded by a session, so the test uses the real network');
+    }
+
+    const extension = target === 'playwright' ? 'spec.js' : 'test.js';
+    const spec = {
+      from,
+      to,
+      frames: to - from,
+      url: window.location.href,
+      html: options.html || defaultTestHtml(),
+      name: options.name || `replays frames ${from + 1}–${to}`,
+      filename: options.filename || `frametape-${from + 1}-${to}.${extension}`,
+      createdAt: new Date(originalDateNow.call(Date)).toISOString(),
+      seed: random ? random.seed : null,
+      random,
+      virtualClock,
+      startState: startRecord.state,
+      inputs: segmentInputs(from, to),
+      network,
+      expected,
+      assertNoErrors: !frameTape.some(r => r.frame > from && r.frame <= to && r.errors.length > 0),
+      warnings,
+    };
+    const code = target === 'playwright' ? renderPlaywrightTest(spec) : renderNodeTest(spec);
+    if (options.download) {
+      downloadText(code, typeof options.download === 'string' ? options.download : spec.filename, 'text/javascript');
+    }
+
+    return {
+      success: true,
+      target,
+      from,
+      to,
+      frames: spec.frames,
+      inputs: spec.inputs.length,
+      assertions: expected.map(e => e.path),
+      filename: spec.filename,
+      warnings,
+      code,
+    };
+  }
+
+  // ============================================================
+  // Tape Export / Import
+  // ============================================================
+  // The format is documented in docs/tape-format.md. JSON holds one object;
+  // NDJSON holds a header line followed by one line per frame, event, error
+  // and thumbnail, so large tapes can be streamed and parsed line by line.
+  function buildTapeHeader() {
+    return {
+      format: 'frametape-tape',
+      version: TAPE_FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      meta: {
+        library: 'FrameTape',
+        libraryVersion: VERSION,
+        url: window.location.href,
+        frameCount,
+        branch: currentBranch,
+        seed: randomSeed,
+        virtualClock,
+      },
+      config: { ...CONFIG },
+    };
+  }
+
+  function exportTape(options) {
+    options = options || {};
+    const from = options.from || 0;
+    const to = options.to === undefined ? Infinity : options.to;
+    const inRange = f => f.frame >= from && f.frame <= to;
+    const frames = frameTape.filter(inRange);
+    const events = eventLog.filter(inRange);
+    const errors = jsErrors.filter(inRange);
+    const thumbnails = options.thumbnails
+      ? filmStripBuffer.filter(inRange).map(f => ({ frame: f.frame, dataUrl: f.dataUrl }))
+      : [];
+    // The snapshot in effect at `from` comes along so the first frame renders
+    const baseSnapshot = domSnapshots.filter(s => s.frame <= from).pop();
+    const dom = domSnapshots.filter(s => s === baseSnapshot || inRange(s));
+
+    let text;
+    if (options.format === 'ndjson') {
+      const lines = [JSON.stringify(Object.assign({ type: 'header' }, buildTapeHeader()))];
+      frames.forEach(f => lines.push(JSON.stringify({ type: 'frame', record: f })));
+      events.forEach(e => lines.push(JSON.stringify({ type: 'event', event: e })));
+      errors.forEach(e => lines.push(JSON.stringify({ type: 'error', error: e })));
+      thumbnails.forEach(t => lines.push(JSON.stringify(Object.assign({ type: 'thumbnail' }, t))));
+      dom.forEach(d => lines.push(JSON.stringify(Object.assign({ type: 'dom' }, d))));
+      text = lines.join('\n') + '\n';
+    } else {
+      text = JSON.stringify(Object.assign(buildTapeHeader(), { frames, events, errors, thumbnails, domSnapshots: dom }));
+    }
+
+    if (options.download) {
+      const ext = options.format === 'ndjson' ? 'ndjson' : 'json';
+      const filename = typeof options.download === 'string' ? options.download : `frametape-${frameCount}.${ext}`;
+      downloadText(text, filename, ext === 'json' ? 'application/json' : 'application/x-ndjson');
+    }
+    return text;
+  }
+
+  function downloadText(text, filename, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // After the click has started the download; the native timer, so a
+    // paused virtual clock can't hold the Blob forever
+    originalSetTimeout.call(window, () => URL.revokeObjectURL(url), 0);
+  }
+
+  // Accepts a JSON string, an NDJSON string or an already parsed tape object
+  function parseTape(data) {
+    if (typeof data !== 'string') return data;
+    const trimmed = data.trim();
+    const firstLine = trimmed.split('\n', 1)[0];
+    let header;
+    try {
+      header = JSON.parse(firstLine);
+    } catch (e) {
+      header = null;
+    }
+    if (!header || header.type !== 'header') {
+      return JSON.parse(trimmed);
+    }
+
+    const tape = Object.assign({}, header, { frames: [], events: [], errors: [], thumbnails: [], domSnapshots: [] });
+    delete tape.type;
+    trimmed.split('\n').slice(1).forEach(function (line) {
+      if (!line.trim()) return;
+      const entry = JSON.parse(line);
+      if (entry.type === 'frame') tape.frames.push(entry.record);
+      else if (entry.type === 'event') tape.events.push(entry.event);
+      else if (entry.type === 'error') tape.errors.push(entry.error);
+      else if (entry.type === 'thumbnail') tape.thumbnails.push({ frame: entry.frame, dataUrl: entry.dataUrl });
+      else if (entry.type === 'dom') tape.domSnapshots.push({ frame: entry.frame, html: entry.html });
+    });
+    return tape;
+  }
+
+  // Imported tapes can come from anywhere and the debug panel shows their
+  // events and thumbnails, so fields of the wrong type are dropped
+  const IMPORTED_TEXT_FIELDS = ['type', 'key', 'code', 'target'];
+  const IMPORTED_NUMBER_FIELDS = ['frame', 'timestamp', 'x', 'y'];
+
+  function importedEvents(events) {
+    return (Array.isArray(events) ? events : [])
+      .filter(e => isContainer(e) && typeof e.type === 'string')
+      .map(function (e) {
+        const event = Object.assign({}, e);
+        IMPORTED_TEXT_FIELDS.forEach(function (field) {
+          if (field in event && typeof event[field] !== 'string') delete event[field];
+        });
+        IMPORTED_NUMBER_FIELDS.forEach(function (field) {
+          if (field in event && typeof event[field] !== 'number') delete event[field];
+        });
+        return event;
+      });
+  }
+
+  function importedThumbnails(thumbnails) {
+    return (Array.isArray(thumbnails) ? thumbnails : []).filter(f => isContainer(f) &&
+      typeof f.frame === 'number' && typeof f.dataUrl === 'string' && f.dataUrl.startsWith('data:image/'));
+  }
+
+  function importTape(data, options) {
+    options = options || {};
+    let tape;
+    try {
+      tape = parseTape(data);
+    } catch (e) {
+      return { success: false, error: 'Failed to parse tape: ' + e.message };
+    }
+    if (!tape || tape.format !== 'frametape-tape') {
+      return { success: false, error: 'Not a FrameTape tape' };
+    }
+    if (tape.version > TAPE_FORMAT_VERSION) {
+      return { success: false, error: `Tape format v${tape.version} is newer than supported v${TAPE_FORMAT_VERSION}` };
+    }
+
+    const frames = tape.frames || [];
+    const timeline = {
+      frameCount: frames.length > 0 ? frames[frames.length - 1].frame : 0,
+      tape: frames,
+      eventLog: importedEvents(tape.events),
+      networkLog: [].concat(...frames.map(f => f.network || [])),
+      consoleLog: [].concat(...frames.map(f => f.console || [])),
+      filmStrip: importedThumbnails(tape.thumbnails),
+      domSnapshots: tape.domSnapshots || [],
+      errors: tape.errors || [],
+    };
+
+    if (options.branch) {
+      if (options.branch === currentBranch) {
+        return { success: false, error: `Branch "${options.branch}" is the current branch` };
+      }
+      branches.set(options.branch, Object.assign({ name: options.branch, parent: null, forkFrame: null }, timeline));
+    } else {
+      // Replace the recorded history; the live app state is left untouched
+      frameCount = timeline.frameCount;
+      frameTape = timeline.tape.slice();
+      eventLog = timeline.eventLog.slice();
+      networkLog = timeline.networkLog.slice();
+      consoleLog = timeline.consoleLog.slice();
+      filmStripBuffer = timeline.filmStrip.slice();
+      domSnapshots = timeline.domSnapshots.slice();
+      releaseFrameImages(frameImages);
+      frameImages = [];
+      resetErrors(timeline.errors.slice(), 0);
+      pendingEvents = [];
+    }
+
+    return {
+      success: true,
+      version: tape.version,
+      frames: frames.length,
+      branch: options.branch || currentBranch,
+      meta: tape.meta || null,
+    };
+  }
+
+  // ============================================================
+  // Tape Persistence
+  // ============================================================
+  // Keeps the newest frames, events and errors in sessionStorage or
+  // IndexedDB as a tape, so they survive a crash or a reload. Snapshots are
+  // written every CONFIG.persistEvery frames, after new errors (throttled,
+  // see persistErrors) and on pagehide; getPreviousSession() reads what the
+  // last page load left.
+  const PERSIST_STORAGES = ['sessionStorage', 'indexedDB'];
+  const PERSIST_DB = 'frametape';
+  const PERSIST_STORE = 'tapes';
+
+  // One snapshot per page path; tabs on the same page share it in IndexedDB
+  function persistKey() {
+    return 'frametape-tape:' + window.location.pathname;
+  }
+
+  function openPersistDb() {
+    return new Promise(function (resolve, reject) {
+      const request = window.indexedDB.open(PERSIST_DB, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(PERSIST_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function persistDbRequest(db, access, run) {
+    return new Promise(function (resolve, reject) {
+      const request = run(db.transaction(PERSIST_STORE, access).objectStore(PERSIST_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function readPersisted(storage) {
+    if (storage === 'sessionStorage') {
+      try {
+        return Promise.resolve(window.sessionStorage.getItem(persistKey()));
+      } catch (e) {
+        return Promise.resolve(null);
+      }
+    }
+    if (!window.indexedDB) return Promise.resolve(null);
+    return openPersistDb()
+      .then(db => persistDbRequest(db, 'readonly', store => store.get(persistKey())))
+      .then(text => text || null, () => null);
+  }
+
+  // The newest frames as tape JSON, halved until it fits persistMaxLength
+  function buildPersistedTape(reason) {
+    let frames = frameTape.slice(-Math.min(persistence.frames, CONFIG.maxTapeLength));
+    while (true) {
+      const from = frames.length > 0 ? frames[0].frame : frameCount;
+      const text = JSON.stringify(Object.assign(buildTapeHeader(), {
+        frames,
+        events: eventLog.filter(e => e.frame >= from),
+        errors: jsErrors.filter(e => e.frame >= from),
+        thumbnails: [],
+        domSnapshots: [],
+        persisted: { reason, frame: frameCount, storage: persistence.storage },
+      }));
+      if (text.length <= persistence.maxLength) return text;
+      if (frames.length <= 1) return null;
+      frames = frames.slice(Math.floor(frames.length / 2));
+    }
+  }
+
+  function flushPersistence(reason) {
+    if (!persistence) return;
+    const current = persistence;
+    current.lastFlushFrame = frameCount;
+    current.errorsFlushed = errorTotal();
+    if (reason === 'error') current.lastErrorFlushFrame = frameCount;
+    let text;
+    try {
+      text = buildPersistedTape(reason);
+    } catch (e) {
+      current.lastError = 'Tape is not serializable: ' + e.message;
+      return;
+    }
+    if (text === null) {
+      current.lastError = `A single frame exceeds maxLength (${current.maxLength} chars)`;
+      return;
+    }
+
+    if (current.storage === 'sessionStorage') {
+      try {
+        window.sessionStorage.setItem(persistKey(), text);
+        current.lastError = null;
+      } catch (e) {
+        current.lastError = e.message;
+      }
+      return;
+    }
+    current.ready
+      .then(db => persistDbRequest(db, 'readwrite', store => store.put(text, persistKey())))
+      .then(
+        () => { current.lastError = null; },
+        e => { current.lastError = e && e.message ? e.message : String(e); }
+      );
+  }
+
+  // New errors are saved right away, since the page may be about to die.
+  // After an error snapshot the next one waits flushEvery frames, so an app
+  // that throws every frame doesn't serialize the tape on every frame.
+  // Errors are noticed by count: those from timers belong to the previous frame.
+  function persistErrors() {
+    if (!persistence || errorTotal() === persistence.errorsFlushed) return false;
+    const last = persistence.lastErrorFlushFrame;
+    if (last !== null && frameCount - last < persistence.flushEvery) return false;
+    flushPersistence('error');
+    return true;
+  }
+
+  // Called at the end of every frame
+  function persistFrame() {
+    if (!persistence || persistErrors()) return;
+    if (frameCount - persistence.lastFlushFrame >= persistence.flushEvery) {
+      flushPersistence('interval');
+    }
+  }
+
+  function enablePersistence(options) {
+    options = options || {};
+    const storage = options.storage || 'sessionStorage';
+    if (!PERSIST_STORAGES.includes(storage)) {
+      return { success: false, error: `Unknown storage "${storage}" (expected ${PERSIST_STORAGES.join(' or ')})` };
+    }
+    try {
+      if (!window[storage]) return { success: false, error: `${storage} is not available` };
+    } catch (e) {
+      return { success: false, error: `${storage} is not available: ${e.message}` };
+    }
+
+    // The first flush replaces the last page load's snapshot, so read it first
+    if (!previousTapes.has(storage)) previousTapes.set(storage, readPersisted(storage));
+    persistence = {
+      storage,
+      frames: options.frames || CONFIG.persistFrames,
+      flushEvery: options.flushEvery || CONFIG.persistEvery,
+      maxLength: options.maxLength || CONFIG.persistMaxLength,
+      lastFlushFrame: frameCount,
+      errorsFlushed: errorTotal(),
+      lastErrorFlushFrame: null,
+      lastError: null,
+      ready: storage === 'indexedDB' ? previousTapes.get(storage).then(openPersistDb) : null,
+    };
+    if (persistence.ready) {
+      persistence.ready.catch(e => { persistence.lastError = e && e.message ? e.message : String(e); });
+    }
+    return {
+      success: true,
+      storage,
+      frames: persistence.frames,
+      flushEvery: persistence.flushEvery,
+      maxLength: persistence.maxLength,
+    };
+  }
+
+  function disablePersistence(options) {
+    options = options || {};
+    if (!persistence) return { disabled: false };
+    const storage = persistence.storage;
+    persistence = null;
+    if (options.clear) {
+      if (storage === 'sessionStorage') {
+        try {
+          window.sessionStorage.removeItem(persistKey());
+        } catch (e) { /* storage blocked */ }
+      } else {
+        openPersistDb()
+          .then(db => persistDbRequest(db, 'readwrite', store => store.delete(persistKey())))
+          .catch(() => {});
+      }
+    }
+    return { disabled: true, cleared: !!options.clear };
+  }
+
+  // Resolves to the tape the last page load persisted, or null
+  function getPreviousSession(options) {
+    options = options || {};
+    const storage = options.storage || (persistence ? persistence.storage : null);
+    const storages = storage ? [storage] : PERSIST_STORAGES;
+    return storages.reduce(function (found, name) {
+      return found.then(function (text) {
+        if (text) return text;
+        if (!previousTapes.has(name)) previousTapes.set(name, readPersisted(name));
+        return previousTapes.get(name);
+      });
+    }, Promise.resolve(null)).then(function (text) {
+      if (!text) return null;
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return null;
+      }
+    });
+  }
+
+  originalAddEventListener.call(window, 'pagehide', function () {
+    flushPersistence('pagehide');
+  });
+
+  // ============================================================
+  // Film Strip & Frame Images
+  // ============================================================
+  // Canvases are copied right after the rAF callbacks, while a WebGL drawing
+  // buffer without preserveDrawingBuffer still holds the frame. The last
+  // CONFIG.frameImageBuffer copies are kept at full size for getFrameImage();
+  // film strip thumbnails composite every layer in registration order.
+  function registerCanvas(canvas, options) {
+    options = options || {};
+    const name = options.name || 'main';
+    canvases = canvases.filter(c => c.name !== name);
+    if (canvas) canvases.push({ name, canvas, filmStrip: options.filmStrip !== false });
+    return { registered: !!canvas, name, canvases: canvases.map(c => c.name) };
+  }
+
+  function noteCaptureError(name, e) {
+    captureError = { canvas: name, message: e.message, frame: frameCount };
+  }
+
+  function copyCanvas(source) {
+    const copy = imagePool.pop() || document.createElement('canvas');
+    copy.width = source.width;
+    copy.height = source.height;
+    copy.getContext('2d').drawImage(source, 0, 0);
+    return copy;
+  }
+
+  function releaseFrameImages(entries) {
+    entries.forEach(entry => entry.layers.forEach(layer => imagePool.push(layer.image)));
+    if (imagePool.length > canvases.length * 2) imagePool.length = canvases.length * 2;
+  }
+
+  // Where a layer sits on the page, in pixels of the first registered
+  // canvas: a 200×200 minimap in the corner of an 800×600 game stays a
+  // corner minimap when composited. Layers that aren't laid out (hidden,
+  // or jsdom) are placed at the origin at their own pixel size.
+  function layerBox(canvas, main, mainRect) {
+    const box = { x: 0, y: 0, width: canvas.width, height: canvas.height };
+    if (canvas === main || !mainRect || !mainRect.width || !mainRect.height) return box;
+    const rect = canvas.getBoundingClientRect();
+    if (!rect.width || !rect.height) return box;
+    const kx = main.width / mainRect.width;
+    const ky = main.height / mainRect.height;
+    return {
+      x: (rect.left - mainRect.left) * kx,
+      y: (rect.top - mainRect.top) * ky,
+      width: rect.width * kx,
+      height: rect.height * ky,
+    };
+  }
+
+  // Returns name → { image, box } for this frame: the stored copies, or the
+  // live canvases when the image buffer is disabled
+  function captureFrameImages() {
+    const layers = new Map();
+    const main = canvases.length > 0 ? canvases[0].canvas : null;
+    // Reading layout is only needed to line up several layers
+    const mainRect = canvases.length > 1 ? main.getBoundingClientRect() : null;
+    for (const layer of canvases) {
+      if (!layer.canvas.width || !layer.canvas.height) continue;
+      const box = layerBox(layer.canvas, main, mainRect);
+      if (CONFIG.frameImageBuffer <= 0) {
+        layers.set(layer.name, { image: layer.canvas, box });
+        continue;
+      }
+      try {
+        layers.set(layer.name, { image: copyCanvas(layer.canvas), box });
+      } catch (e) {
+        noteCaptureError(layer.name, e);
+      }
+    }
+    if (CONFIG.frameImageBuffer > 0) {
+      frameImages.push({ frame: frameCount, layers });
+      if (frameImages.length > CONFIG.frameImageBuffer) {
+        releaseFrameImages(frameImages.splice(0, frameImages.length - CONFIG.frameImageBuffer));
+      }
+    }
+    return layers;
+  }
+
+  // Draws layers onto one canvas. The first fills width × height; the rest
+  // are scaled by the same factor and keep their place relative to it.
+  function compositeLayers(layers, width, height) {
+    const out = document.createElement('canvas');
+    out.width = width;
+    out.height = height;
+    const ctx = out.getContext('2d');
+    const base = layers[0].box;
+    const sx = width / base.width;
+    const sy = height / base.height;
+    layers.forEach(function (layer) {
+      const box = layer.box;
+      ctx.drawImage(layer.image, (box.x - base.x) * sx, (box.y - base.y) * sy, box.width * sx, box.height * sy);
+    });
+    return out;
+  }
+
+  function captureFilmStrip(layers) {
+    const visible = canvases.filter(c => c.filmStrip && layers.has(c.name)).map(c => layers.get(c.name));
+    if (visible.length === 0) return;
+
+    try {
+      const thumbCanvas = compositeLayers(visible, CONFIG.filmStripWidth, CONFIG.filmStripHeight);
+      filmStripBuffer.push({
+        frame: frameCount,
+        dataUrl: thumbCanvas.toDataURL('image/png', 0.8),
+      });
+
+      if (filmStripBuffer.length > CONFIG.filmStripFrames) {
+        filmStripBuffer = filmStripBuffer.slice(-CONFIG.filmStripFrames);
+      }
+    } catch (e) {
+      // Usually a canvas tainted by a cross-origin image
+      noteCaptureError(canvases.filter(c => c.filmStrip).map(c => c.name).join('+'), e);
+    }
+  }
+
+  // Full-size composite of a buffered frame: { canvas } or { error }
+  function frameImageCanvas(frame, layerName, scale) {
+    const entry = frameImages.find(f => f.frame === frame);
+    if (!entry) {
+      return { error: `No image for frame ${frame}: only the last ${CONFIG.frameImageBuffer} frames are kept at full size` };
+    }
+    let layers;
+    if (layerName) {
+      if (!entry.layers.has(layerName)) return { error: `No image of canvas "${layerName}" on frame ${frame}` };
+      layers = [entry.layers.get(layerName)];
+    } else {
+      layers = canvases.filter(c => entry.layers.has(c.name)).map(c => entry.layers.get(c.name));
+    }
+    if (layers.length === 0) return { error: `No canvas was captured on frame ${frame}` };
 
-  EventTarget.prototype.addEventListener = function (type, listener, options) {
-    if (trackedEventTypes.includes(type)) {
-      const wrappedListener = function (event) {
-        const eventData = {
-          type: event.type,
-          timestamp: performance.now(),
-          frame: frameCount,
+    scale = scale || 1;
+    const width = Math.max(1, Math.round(layers[0].image.width * scale));
+    const height = Math.max(1, Math.round(layers[0].image.height * scale));
+    return { canvas: compositeLayers(layers, width, height) };
+  }
+
+  function getFrameImage(frame, options) {
+    options = options || {};
+    if (frame === undefined || frame === null) frame = frameCount;
+    const format = options.format || 'png';
+
+    const image = frameImageCanvas(frame, options.name, options.scale);
+    if (image.error) {
+      const thumb = !options.name && filmStripBuffer.find(f => f.frame === frame);
+      if (thumb) {
+        return {
+          success: true, frame, name: null, thumbnail: true,
+          width: CONFIG.filmStripWidth, height: CONFIG.filmStripHeight, format: 'png', dataUrl: thumb.dataUrl,
         };
-        if (event instanceof KeyboardEvent) {
-          eventData.key = event.key;
-          eventData.code = event.code;
-        }
-        if (event instanceof MouseEvent) {
-          eventData.x = event.clientX;
-          eventData.y = event.clientY;
-          eventData.button = event.button;
-        }
-        pendingEvents.push(eventData);
-        return listener.call(this, event);
+      }
+      return { success: false, error: image.error };
+    }
+
+    try {
+      const dataUrl = image.canvas.toDataURL('image/' + format, options.quality);
+      return {
+        success: true, frame, name: options.name || null,
+        width: image.canvas.width, height: image.canvas.height, format, dataUrl,
       };
-      return originalAddEventListener.call(this, type, wrappedListener, options);
+    } catch (e) {
+      return { success: false, error: 'Canvas could not be exported: ' + e.message };
     }
-    return originalAddEventListener.call(this, type, listener, options);
-  };
+  }
 
   // ============================================================
-  // requestAnimationFrame Wrapper (Frame Controller)
+  // Visual Regression (Golden Frames)
   // ============================================================
-  originalRAF = window.requestAnimationFrame;
+  // A golden is the pixel data of one frame image. Comparisons count pixels
+  // whose largest channel difference exceeds `threshold`, and group changed
+  // 16px cells into connected regions.
+  const DIFF_CELL = 16;
 
-  function wrappedRAF(callback) {
-    const id = ++rafIdCounter;
-    rafCallbacks.push({ id, callback });
+  function readPixels(canvas) {
+    return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  }
 
-    if (mode === 'user' || (!paused && !stepping && slowMotionFPS === null)) {
-      // Normal mode — pass through immediately
-      return originalRAF.call(window, function (timestamp) {
-        executeFrame(timestamp);
+  function saveGolden(name, frame, options) {
+    options = options || {};
+    if (frame === undefined || frame === null) frame = frameCount;
+    const image = frameImageCanvas(frame, options.canvas);
+    if (image.error) return { success: false, error: image.error };
+    try {
+      const pixels = readPixels(image.canvas);
+      goldens.set(name, {
+        name,
+        frame,
+        canvas: options.canvas || null,
+        width: pixels.width,
+        height: pixels.height,
+        data: new Uint8ClampedArray(pixels.data),
+        dataUrl: image.canvas.toDataURL('image/png'),
       });
+    } catch (e) {
+      return { success: false, error: 'Canvas could not be read: ' + e.message };
     }
+    return { success: true, name, frame, width: image.canvas.width, height: image.canvas.height };
+  }
 
-    if (paused && !stepping) {
-      // Paused — don't schedule, wait for step()
-      return id;
+  // Restores a golden from exportGolden() output; resolves once decoded
+  function importGolden(golden) {
+    return new Promise(function (resolve) {
+      const img = new Image();
+      img.onload = function () {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        const pixels = readPixels(canvas);
+        goldens.set(golden.name, {
+          name: golden.name,
+          frame: golden.frame,
+          canvas: golden.canvas || null,
+          width: pixels.width,
+          height: pixels.height,
+          data: new Uint8ClampedArray(pixels.data),
+          dataUrl: golden.dataUrl,
+        });
+        resolve({ success: true, name: golden.name, width: pixels.width, height: pixels.height });
+      };
+      img.onerror = function () {
+        resolve({ success: false, error: `Golden "${golden.name}" image could not be decoded` });
+      };
+      img.src = golden.dataUrl;
+    });
+  }
+
+  // Connected groups of changed cells, largest first, as pixel rectangles
+  function changedRegions(cells, cols, rows, width, height) {
+    const regions = [];
+    const seen = new Uint8Array(cells.length);
+    for (let start = 0; start < cells.length; start++) {
+      if (!cells[start] || seen[start]) continue;
+      let minX = cols, minY = rows, maxX = 0, maxY = 0, pixels = 0;
+      const stack = [start];
+      seen[start] = 1;
+      while (stack.length > 0) {
+        const cell = stack.pop();
+        const cx = cell % cols;
+        const cy = (cell - cx) / cols;
+        minX = Math.min(minX, cx);
+        minY = Math.min(minY, cy);
+        maxX = Math.max(maxX, cx);
+        maxY = Math.max(maxY, cy);
+        pixels += cells[cell];
+        [[cx - 1, cy], [cx + 1, cy], [cx, cy - 1], [cx, cy + 1]].forEach(function ([nx, ny]) {
+          const next = ny * cols + nx;
+          if (nx >= 0 && ny >= 0 && nx < cols && ny < rows && cells[next] && !seen[next]) {
+            seen[next] = 1;
+            stack.push(next);
+          }
+        });
+      }
+      const x = minX * DIFF_CELL;
+      const y = minY * DIFF_CELL;
+      regions.push({
+        x,
+        y,
+        width: Math.min(width, (maxX + 1) * DIFF_CELL) - x,
+        height: Math.min(height, (maxY + 1) * DIFF_CELL) - y,
+        pixels,
+      });
+    }
+    return regions.sort((a, b) => b.pixels - a.pixels);
+  }
+
+  function compareToGolden(name, options) {
+    options = options || {};
+    const golden = goldens.get(name);
+    if (!golden) return { success: false, error: `No golden named "${name}"` };
+    const frame = options.frame === undefined ? frameCount : options.frame;
+    const tolerance = options.tolerance || 0;
+    const threshold = options.threshold || 0;
+
+    const image = frameImageCanvas(frame, options.canvas === undefined ? golden.canvas : options.canvas);
+    if (image.error) return { success: false, error: image.error };
+    let actual;
+    try {
+      actual = readPixels(image.canvas);
+    } catch (e) {
+      return { success: false, error: 'Canvas could not be read: ' + e.message };
     }
 
-    if (stepping && stepsRemaining > 0) {
-      // Stepping — schedule immediately
-      return originalRAF.call(window, function (timestamp) {
-        executeFrame(timestamp);
+    const result = { success: true, name, frame, goldenFrame: golden.frame, tolerance };
+    if (actual.width !== golden.width || actual.height !== golden.height) {
+      return Object.assign(result, {
+        match: false,
+        sizeMismatch: { golden: [golden.width, golden.height], actual: [actual.width, actual.height] },
       });
     }
 
-    if (slowMotionFPS !== null && !paused) {
-      // Slow motion — schedule with delay
-      const delay = 1000 / slowMotionFPS;
-      const now = performance.now();
-      const timeSinceLast = now - lastSlowMotionTime;
-      const waitTime = Math.max(0, delay - timeSinceLast);
-
-      setTimeout(function () {
-        originalRAF.call(window, function (timestamp) {
-          lastSlowMotionTime = performance.now();
-          executeFrame(timestamp);
-        });
-      }, waitTime);
-      return id;
+    const { width, height } = actual;
+    const cols = Math.ceil(width / DIFF_CELL);
+    const cells = new Uint32Array(cols * Math.ceil(height / DIFF_CELL));
+    const diff = new ImageData(width, height);
+    let mismatched = 0;
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const delta = Math.max(
+          Math.abs(actual.data[i] - golden.data[i]),
+          Math.abs(actual.data[i + 1] - golden.data[i + 1]),
+          Math.abs(actual.data[i + 2] - golden.data[i + 2]),
+          Math.abs(actual.data[i + 3] - golden.data[i + 3])
+        );
+        if (delta > threshold) {
+          mismatched++;
+          cells[Math.floor(y / DIFF_CELL) * cols + Math.floor(x / DIFF_CELL)]++;
+          if (x < minX) minX = x;
+          if (y < minY) minY = y;
+          if (x > maxX) maxX = x;
+          if (y > maxY) maxY = y;
+          diff.data[i] = 255;
+          diff.data[i + 3] = 255;
+        } else {
+          // Unchanged pixels: faded grayscale of the golden
+          const gray = (golden.data[i] + golden.data[i + 1] + golden.data[i + 2]) / 3;
+          diff.data[i] = diff.data[i + 1] = diff.data[i + 2] = 255 - (255 - gray) * 0.3;
+          diff.data[i + 3] = 255;
+        }
+      }
     }
 
-    // Default: schedule normally
-    return originalRAF.call(window, function (timestamp) {
-      executeFrame(timestamp);
+    const mismatchPercent = Math.round(mismatched / (width * height) * 10000) / 100;
+    const diffCanvas = document.createElement('canvas');
+    diffCanvas.width = width;
+    diffCanvas.height = height;
+    diffCanvas.getContext('2d').putImageData(diff, 0, 0);
+
+    return Object.assign(result, {
+      match: mismatchPercent <= tolerance,
+      mismatchPercent,
+      mismatchedPixels: mismatched,
+      totalPixels: width * height,
+      bounds: mismatched > 0 ? { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 } : null,
+      regions: changedRegions(cells, cols, cells.length / cols, width, height).slice(0, options.maxRegions || 10),
+      diffDataUrl: diffCanvas.toDataURL('image/png'),
     });
   }
 
-  function executeFrame(timestamp) {
-    if (rafCallbacks.length === 0) return;
+  // ============================================================
+  // DOM Capture
+  // ============================================================
+  // For apps without a canvas: a MutationObserver on the registered root
+  // records compact per-frame changes, and frames that changed the DOM keep
+  // a serialized snapshot. Snapshots double as SVG film strip thumbnails.
+  function registerRoot(root) {
+    const element = typeof root === 'string' ? document.querySelector(root) : root;
+    if (!element || element.nodeType !== 1) {
+      return { registered: false, error: 'Root must be an element or a selector that matches one' };
+    }
+    if (domObserver) domObserver.disconnect();
+    domRoot = element;
+    pendingMutations = [];
+    droppedMutations = 0;
+    domObserver = new MutationObserver(bufferMutations);
+    domObserver.observe(element, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeOldValue: true,
+      characterData: true,
+    });
+    return { registered: true, root: describeTarget(element) };
+  }
 
-    isRunningFrame = true;
-    const frameDuration = timestamp - lastFrameTime;
-    lastFrameTime = timestamp;
-    frameCount++;
+  // While paused nothing flushes the buffer, so it keeps at most ten frames'
+  // worth of changes; the rest are counted in the next `truncated` entry
+  function bufferMutations(records) {
+    records = records.filter(m => !isPanelNode(m.target));
+    if (records.length === 0) return;
+    const room = Math.max(0, CONFIG.domMutationLimit * 10 - pendingMutations.length);
+    pendingMutations.push(...records.slice(0, room));
+    droppedMutations += Math.max(0, records.length - room);
+    scheduleClockFrame();
+  }
 
-    // Execute all queued callbacks
-    const callbacks = rafCallbacks.slice();
-    rafCallbacks = [];
+  function isPanelNode(node) {
+    return !!debugPanelEl && (node === debugPanelEl || debugPanelEl.contains(node));
+  }
 
-    for (const { callback } of callbacks) {
-      try {
-        callback(timestamp);
-      } catch (e) {
-        jsErrors.push({
-          message: e.message,
-          stack: e.stack,
-          frame: frameCount,
-          timestamp: performance.now(),
-        });
+  function truncateText(text, max) {
+    return text.length > max ? text.slice(0, max) + '…' : text;
+  }
+
+  function summarizeNode(node) {
+    if (node.nodeType === 3) return '#text ' + JSON.stringify(truncateText(node.textContent, 40));
+    if (node.nodeType !== 1) return node.nodeName.toLowerCase();
+    let summary = node.tagName.toLowerCase();
+    if (node.id) summary += '#' + node.id;
+    if (node.classList.length > 0) summary += '.' + Array.from(node.classList).join('.');
+    return summary;
+  }
+
+  function describeNode(node) {
+    return node.nodeType === 1 && node.isConnected ? describeTarget(node) : summarizeNode(node);
+  }
+
+  // Turns the MutationRecords since the last frame into
+  // { type: 'childList' | 'attributes' | 'text', target, ... } entries.
+  // Repeated attribute/text changes on one node keep only the final value.
+  function flushMutations() {
+    const records = pendingMutations.concat(domObserver.takeRecords());
+    let dropped = droppedMutations;
+    pendingMutations = [];
+    droppedMutations = 0;
+    const changes = [];
+    const latest = new Map();
+    for (const m of records) {
+      if (isPanelNode(m.target)) continue;
+      const nodes = Array.from(m.addedNodes).concat(Array.from(m.removedNodes));
+      // textContent = '...' on an element is reported as a text change
+      const textSwap = m.type === 'childList' && nodes.length > 0 && nodes.every(n => n.nodeType === 3);
+      if (m.type === 'childList' && !textSwap) {
+        const added = Array.from(m.addedNodes).filter(n => !isPanelNode(n)).map(summarizeNode);
+        const removed = Array.from(m.removedNodes).filter(n => n !== debugPanelEl).map(summarizeNode);
+        if (added.length === 0 && removed.length === 0) continue;
+        const change = { type: 'childList', target: describeNode(m.target) };
+        if (added.length > 0) change.added = added;
+        if (removed.length > 0) change.removed = removed;
+        changes.push(change);
+        continue;
       }
+      const text = m.type !== 'attributes';
+      const node = m.type === 'characterData' ? m.target.parentNode : m.target;
+      if (!node) continue;
+      const key = text ? '#text' : m.attributeName;
+      const keyed = latest.get(node) || new Map();
+      let change = keyed.get(key);
+      if (!change) {
+        change = text
+          ? { type: 'text', target: describeNode(node) }
+          : { type: 'attributes', target: describeNode(node), name: m.attributeName, oldValue: m.oldValue };
+        changes.push(change);
+        keyed.set(key, change);
+        latest.set(node, keyed);
+      }
+      change.value = text ? truncateText(node.textContent, 200) : node.getAttribute(m.attributeName);
     }
 
-    // Record frame to tape
-    recordFrame(timestamp, frameDuration);
-
-    // Capture film strip
-    if (sourceCanvas && frameCount % CONFIG.filmStripCaptureEvery === 0) {
-      captureFilmStrip();
+    if (changes.length > CONFIG.domMutationLimit) {
+      dropped += changes.length - CONFIG.domMutationLimit;
+      changes.length = CONFIG.domMutationLimit;
     }
+    if (dropped > 0) changes.push({ type: 'truncated', count: dropped });
+    return changes;
+  }
 
-    // Update debug panel
-    if (mode === 'ai' && debugPanelEl) {
-      updateDebugPanel();
+  // Copies live form values into attributes so the snapshot shows what the
+  // user typed, not the initial markup.
+  function cloneRoot() {
+    const clone = domRoot.cloneNode(true);
+    const live = domRoot.querySelectorAll('input, textarea, select');
+    const copies = clone.querySelectorAll('input, textarea, select');
+    live.forEach(function (field, i) {
+      const copy = copies[i];
+      if (field.tagName === 'TEXTAREA') {
+        copy.textContent = field.value;
+      } else if (field.tagName === 'SELECT') {
+        Array.from(copy.options).forEach((option, j) => {
+          if (field.options[j].selected) option.setAttribute('selected', '');
+          else option.removeAttribute('selected');
+        });
+      } else if (field.type === 'checkbox' || field.type === 'radio') {
+        if (field.checked) copy.setAttribute('checked', '');
+        else copy.removeAttribute('checked');
+      } else {
+        copy.setAttribute('value', field.value);
+      }
+    });
+    clone.querySelectorAll('script, #frametape-panel').forEach(el => el.remove());
+    [clone].concat(Array.from(clone.querySelectorAll('*'))).forEach(function (el) {
+      Array.from(el.attributes).forEach(function (attr) {
+        if (attr.name.startsWith('on')) el.removeAttribute(attr.name);
+      });
+    });
+    return clone;
+  }
+
+  function captureDomSnapshot() {
+    const clone = cloneRoot();
+    domSnapshots.push({ frame: frameCount, html: truncateText(clone.outerHTML, CONFIG.domSnapshotMaxLength) });
+    if (domSnapshots.length > CONFIG.domSnapshotLimit) {
+      domSnapshots = domSnapshots.slice(-CONFIG.domSnapshotLimit);
     }
+    return clone;
+  }
 
-    isRunningFrame = false;
+  // Renders a snapshot clone as an SVG <foreignObject> image. Inline <style>
+  // blocks are carried over; external stylesheets are not.
+  function domThumbnail(clone) {
+    const rect = domRoot.getBoundingClientRect();
+    const width = Math.max(1, Math.round(rect.width || document.documentElement.clientWidth || CONFIG.filmStripWidth));
+    const height = Math.max(1, Math.round(rect.height || document.documentElement.clientHeight || CONFIG.filmStripHeight));
+    const styles = Array.from(document.querySelectorAll('style'))
+      .filter(el => !isPanelNode(el))
+      .map(el => escapeHtml(el.textContent))
+      .join('\n');
+    const body = new XMLSerializer().serializeToString(clone);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${CONFIG.filmStripWidth}" height="${CONFIG.filmStripHeight}" ` +
+      `viewBox="0 0 ${width} ${height}"><foreignObject width="${width}" height="${height}">` +
+      `<div xmlns="http://www.w3.org/1999/xhtml" style="background:#fff;width:${width}px;height:${height}px;overflow:hidden;">` +
+      `<style>${styles}</style>${body}</div></foreignObject></svg>`;
+    return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+  }
 
-    // Handle stepping
-    if (stepping) {
-      stepsRemaining--;
-      if (stepsRemaining <= 0) {
-        stepping = false;
-        paused = true;
-        if (frameResolve) {
-          frameResolve({ frame: frameCount, state: getState() });
-          frameResolve = null;
-        }
+  // Records this frame's DOM changes and, if there were any, a snapshot
+  function captureDom(record) {
+    record.dom = flushMutations();
+    if (record.dom.length === 0 && domSnapshots.length > 0) return;
+    const clone = captureDomSnapshot();
+    if (canvases.length === 0 && frameCount % CONFIG.filmStripCaptureEvery === 0) {
+      filmStripBuffer.push({ frame: frameCount, dataUrl: domThumbnail(clone) });
+      if (filmStripBuffer.length > CONFIG.filmStripFrames) {
+        filmStripBuffer = filmStripBuffer.slice(-CONFIG.filmStripFrames);
       }
     }
   }
 
-  window.requestAnimationFrame = wrappedRAF;
+  function getDomSnapshot(frame) {
+    if (!domRoot) return { success: false, error: 'No root registered (see registerRoot)' };
+    if (frame === undefined) frame = frameCount;
+    let snapshot = null;
+    for (const s of domSnapshots) {
+      if (s.frame > frame) break;
+      snapshot = s;
+    }
+    if (!snapshot) return { success: false, error: `No DOM snapshot at or before frame ${frame}` };
+    return { success: true, frame: snapshot.frame, requestedFrame: frame, html: snapshot.html };
+  }
 
   // ============================================================
-  // FrameTape Recording
+  // Plugins
   // ============================================================
-  function recordFrame(timestamp, duration) {
-    const frameData = {
-      frame: frameCount,
-      timestamp: timestamp,
-      duration: duration,
-      state: getState(),
-      events: pendingEvents.slice(),
-      errors: jsErrors.filter(e => e.frame === frameCount),
-      performance: {
-        memory: performance.memory ? {
-          usedJSHeapSize: performance.memory.usedJSHeapSize,
-          totalJSHeapSize: performance.memory.totalJSHeapSize,
-        } : null,
-      },
-    };
+  // A plugin is an object with a name and any of the hooks below, or a
+  // function (api) returning one. A hook that throws is recorded as an error
+  // with source 'plugin' and doesn't stop the frame or the other plugins.
+  const PLUGIN_HOOKS = ['setup', 'teardown', 'onFrameStart', 'onFrameEnd', 'onEvent', 'onError', 'extendRecord'];
 
-    frameTape.push(frameData);
-    eventLog.push(...pendingEvents);
-    pendingEvents = [];
+  function callPlugin(plugin, hook, ...args) {
+    if (typeof plugin[hook] !== 'function') return undefined;
+    try {
+      return plugin[hook](...args);
+    } catch (e) {
+      recordError('plugin', e, { plugin: plugin.name, hook });
+      return undefined;
+    }
+  }
 
-    // Trim tape
-    if (frameTape.length > CONFIG.maxTapeLength) {
-      frameTape = frameTape.slice(-CONFIG.maxTapeLength);
+  function callPlugins(hook, ...args) {
+    plugins.forEach(plugin => callPlugin(plugin, hook, ...args));
+  }
+
+  function use(plugin) {
+    if (typeof plugin === 'function') plugin = plugin(window.__AI_DEBUG__);
+    if (!plugin || typeof plugin !== 'object' || !plugin.name) {
+      return { used: false, error: 'A plugin needs a name' };
     }
-    // Trim event log
-    if (eventLog.length > 200) {
-      eventLog = eventLog.slice(-200);
+    if (plugins.some(p => p.name === plugin.name)) {
+      return { used: false, error: `Plugin "${plugin.name}" is already in use` };
     }
+    plugins.push(plugin);
+    callPlugin(plugin, 'setup', window.__AI_DEBUG__);
+    if (plugin.panel) renderPluginSections();
+    return { used: true, name: plugin.name, plugins: plugins.map(p => p.name) };
   }
 
-  // ============================================================
-  // State Management
-  // ============================================================
-  function getState() {
-    if (stateProvider) {
+  function removePlugin(name) {
+    const plugin = plugins.find(p => p.name === name);
+    if (!plugin) return { removed: false };
+    plugins = plugins.filter(p => p !== plugin);
+    callPlugin(plugin, 'teardown');
+    if (plugin.panel) renderPluginSections();
+    return { removed: true, plugins: plugins.map(p => p.name) };
+  }
+
+  function getPlugins() {
+    return plugins.map(plugin => ({
+      name: plugin.name,
+      hooks: PLUGIN_HOOKS.filter(hook => typeof plugin[hook] === 'function'),
+      panel: Boolean(plugin.panel),
+    }));
+  }
+
+  // extendRecord() values land on record.plugins[name]
+  function extendRecord(record) {
+    plugins.forEach(function (plugin) {
+      const value = callPlugin(plugin, 'extendRecord', record);
+      if (value === undefined) return;
+      record.plugins = record.plugins || {};
+      record.plugins[plugin.name] = value;
+    });
+  }
+
+  // One panel section per plugin with `panel: { title, render(record) }`;
+  // render returns HTML (escape what you put in it)
+  function renderPluginSections() {
+    const container = debugPanelEl && document.getElementById('frametape-plugins');
+    if (!container) return;
+    container.innerHTML = plugins.filter(p => p.panel).map(p => `
+      <div style="${PANEL_SECTION_TITLE}">${escapeHtml(String(p.panel.title || p.name).toUpperCase())}:</div>
+      <div data-plugin="${escapeHtml(p.name)}" style="${PANEL_BOX}max-height:100px;"></div>
+    `).join('');
+  }
+
+  function updatePluginSections(record) {
+    plugins.forEach(function (plugin) {
+      if (!plugin.panel || typeof plugin.panel.render !== 'function') return;
+      const box = Array.from(debugPanelEl.querySelectorAll('[data-plugin]')).find(el => el.dataset.plugin === plugin.name);
+      if (!box) return;
       try {
-        return JSON.parse(JSON.stringify(stateProvider()));
+        const html = plugin.panel.render(record, window.__AI_DEBUG__);
+        if (html !== undefined) box.innerHTML = html;
       } catch (e) {
-        return { error: 'Failed to serialize state: ' + e.message };
+        recordError('plugin', e, { plugin: plugin.name, hook: 'panel.render' });
       }
-    }
-    return null;
+    });
   }
 
   // ============================================================
-  // Film Strip Capture
+  // Debug Panel
   // ============================================================
-  function captureFilmStrip() {
-    if (!sourceCanvas) return;
+  // The panel is a control surface as well as a display: transport buttons,
+  // a timeline scrubber that previews recorded frames, and a state tree that
+  // edits through setState(). Its input never reaches the app or the event
+  // log. Static parts are built once; the state tree only re-renders when
+  // the state changes and no editor is open.
+  const PANEL_LAYOUT_KEY = 'frametape-panel';
+  const PANEL_DOCKS = ['right', 'left', 'bottom'];
+  const PANEL_MIN_SIZE = 160;
+  const PANEL_TREE_CHILD_LIMIT = 100;
+  // Input kept inside the panel, so app listeners on document/window miss it
+  const PANEL_ISOLATED_EVENTS = [
+    'keydown', 'keyup', 'keypress', 'click', 'dblclick', 'mousedown', 'mouseup',
+    'pointerdown', 'pointerup', 'touchstart', 'touchend', 'wheel', 'contextmenu', 'input', 'change',
+  ];
+  const PANEL_SHORTCUTS = {
+    F7: 'collapse',
+    F8: 'toggle',
+    F9: 'slow',
+    F10: 'step',
+  };
+  const PANEL_SECTION_TITLE = 'color:#00aaff;font-weight:bold;margin-bottom:4px;';
+  const PANEL_BOX = 'background:#0d0d1a;padding:6px;border-radius:4px;overflow-y:auto;font-size:10px;margin-bottom:8px;border:1px solid #333;';
+  const PANEL_BUTTON = 'background:#0d0d1a;color:#e0e0e0;border:1px solid #444;border-radius:3px;padding:2px 6px;font:inherit;cursor:pointer;';
 
+  function loadPanelLayout() {
+    const layout = { dock: 'right', width: CONFIG.debugPanelWidth, height: CONFIG.debugPanelHeight, collapsed: false };
     try {
-      const thumbCanvas = document.createElement('canvas');
-      thumbCanvas.width = CONFIG.filmStripWidth;
-      thumbCanvas.height = CONFIG.filmStripHeight;
-      const ctx = thumbCanvas.getContext('2d');
-      ctx.drawImage(sourceCanvas, 0, 0, CONFIG.filmStripWidth, CONFIG.filmStripHeight);
-
-      filmStripBuffer.push({
-        frame: frameCount,
-        dataUrl: thumbCanvas.toDataURL('image/png', 0.8),
-      });
+      const saved = JSON.parse(window.localStorage.getItem(PANEL_LAYOUT_KEY));
+      if (saved && PANEL_DOCKS.includes(saved.dock)) layout.dock = saved.dock;
+      if (saved && saved.width > 0) layout.width = saved.width;
+      if (saved && saved.height > 0) layout.height = saved.height;
+      if (saved) layout.collapsed = !!saved.collapsed;
+    } catch (e) {
+      // Storage disabled or unreadable — use the defaults
+    }
+    return layout;
+  }
 
-      if (filmStripBuffer.length > CONFIG.filmStripFrames) {
-        filmStripBuffer = filmStripBuffer.slice(-CONFIG.filmStripFrames);
-      }
+  function savePanelLayout() {
+    try {
+      window.localStorage.setItem(PANEL_LAYOUT_KEY, JSON.stringify(panelLayout));
     } catch (e) {
-      // Canvas might be tainted, ignore
+      // Storage disabled — the layout lasts until reload
     }
   }
 
-  // ============================================================
-  // Debug Panel
-  // ============================================================
+  function applyPanelLayout() {
+    if (!debugPanelEl) return;
+    const side = panelLayout.dock !== 'bottom';
+    const style = debugPanelEl.style;
+    style.top = side ? '0' : 'auto';
+    style.bottom = '0';
+    style.left = panelLayout.dock === 'right' ? 'auto' : '0';
+    style.right = panelLayout.dock === 'left' ? 'auto' : '0';
+    style.width = side ? panelLayout.width + 'px' : '100%';
+    style.height = panelLayout.collapsed ? 'auto' : side ? '100vh' : panelLayout.height + 'px';
+    style.borderLeft = panelLayout.dock === 'right' ? '2px solid #00ff88' : 'none';
+    style.borderRight = panelLayout.dock === 'left' ? '2px solid #00ff88' : 'none';
+    style.borderTop = panelLayout.dock === 'bottom' ? '2px solid #00ff88' : 'none';
+
+    const handle = debugPanelEl.querySelector('#frametape-resize');
+    handle.style.cssText = side
+      ? `position:absolute;top:0;bottom:0;${panelLayout.dock === 'right' ? 'left' : 'right'}:0;width:5px;cursor:ew-resize;`
+      : 'position:absolute;left:0;right:0;top:0;height:5px;cursor:ns-resize;';
+    handle.style.display = panelLayout.collapsed ? 'none' : 'block';
+    debugPanelEl.querySelector('#frametape-body').style.display = panelLayout.collapsed ? 'none' : 'block';
+    debugPanelEl.querySelector('[data-action="collapse"]').textContent = panelLayout.collapsed ? '▸' : '▾';
+  }
+
+  // Drag the inner edge to resize; pointer moves are tracked on window so the
+  // drag survives leaving the handle
+  function startPanelResize(e) {
+    e.preventDefault();
+    const side = panelLayout.dock !== 'bottom';
+    const startPos = side ? e.clientX : e.clientY;
+    const startSize = side ? panelLayout.width : panelLayout.height;
+    const direction = panelLayout.dock === 'left' ? 1 : -1;
+    const onMove = function (move) {
+      const max = (side ? window.innerWidth : window.innerHeight) * 0.9;
+      const delta = ((side ? move.clientX : move.clientY) - startPos) * direction;
+      const size = Math.round(Math.max(PANEL_MIN_SIZE, Math.min(max, startSize + delta)));
+      if (side) panelLayout.width = size;
+      else panelLayout.height = size;
+      applyPanelLayout();
+    };
+    const onUp = function () {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+      savePanelLayout();
+    };
+    originalAddEventListener.call(window, 'pointermove', onMove);
+    originalAddEventListener.call(window, 'pointerup', onUp);
+  }
+
+  function runPanelAction(action, value) {
+    const api = window.__AI_DEBUG__;
+    switch (action) {
+      case 'play':
+        api.resume();
+        break;
+      case 'pause':
+        api.pause();
+        break;
+      case 'toggle':
+        if (paused && !stepping) api.resume();
+        else api.pause();
+        break;
+      case 'step':
+        api.stepSync(Number(value) || 1);
+        break;
+      case 'slow':
+        if (slowMotionFPS === null) api.setSlowMotion(CONFIG.defaultSlowMotionFPS);
+        else api.clearSlowMotion();
+        break;
+      case 'slowFps':
+        if (Number(value) > 0) api.setSlowMotion(Number(value));
+        else api.clearSlowMotion();
+        break;
+      case 'preview':
+        panelPreviewFrame = Number(value);
+        break;
+      case 'live':
+        panelPreviewFrame = null;
+        break;
+      case 'rewind':
+        if (panelPreviewFrame !== null) api.rewindTo(panelPreviewFrame);
+        panelPreviewFrame = null;
+        break;
+      case 'dock':
+        panelLayout.dock = PANEL_DOCKS[(PANEL_DOCKS.indexOf(panelLayout.dock) + 1) % PANEL_DOCKS.length];
+        applyPanelLayout();
+        savePanelLayout();
+        break;
+      case 'collapse':
+        panelLayout.collapsed = !panelLayout.collapsed;
+        applyPanelLayout();
+        savePanelLayout();
+        break;
+      default:
+        return;
+    }
+    updateDebugPanel();
+  }
+
+  // F7 collapse, F8 pause/resume, F9 slow motion, F10 step (Shift+F10: 10 frames).
+  // Registered at load so it runs before any window listener the app adds.
+  function handlePanelShortcut(e) {
+    if (!debugPanelEl || mode !== 'ai' || !PANEL_SHORTCUTS[e.key]) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    if (e.type !== 'keydown') return;
+    const action = PANEL_SHORTCUTS[e.key];
+    runPanelAction(action, action === 'step' && e.shiftKey ? 10 : undefined);
+  }
+
+  originalAddEventListener.call(window, 'keydown', handlePanelShortcut, true);
+  originalAddEventListener.call(window, 'keyup', handlePanelShortcut, true);
+
   function createDebugPanel() {
     if (debugPanelEl) return;
+    if (!panelLayout) panelLayout = loadPanelLayout();
 
     debugPanelEl = document.createElement('div');
     debugPanelEl.id = 'frametape-panel';
     debugPanelEl.style.cssText = `
       position: fixed;
-      top: 0;
-      right: 0;
-      width: ${CONFIG.debugPanelWidth}px;
-      height: 100vh;
       background: #1a1a2e;
       color: #e0e0e0;
       font-family: 'Courier New', monospace;
@@ -339,34 +4920,292 @@
       overflow-y: auto;
       overflow-x: hidden;
       z-index: 999999;
-      border-left: 2px solid #00ff88;
       box-sizing: border-box;
       padding: 8px;
     `;
 
     debugPanelEl.innerHTML = `
-      <div style="background:#00ff88;color:#1a1a2e;padding:4px 8px;margin:-8px -8px 8px -8px;font-weight:bold;font-size:13px;text-align:center;">
-        🤖 AI DEBUG MODE
+      <div id="frametape-resize"></div>
+      <div style="display:flex;align-items:center;background:#00ff88;color:#1a1a2e;padding:4px 8px;margin:-8px -8px 8px -8px;font-weight:bold;font-size:13px;">
+        <span style="flex:1;text-align:center;">🤖 AI DEBUG MODE</span>
+        <button data-action="dock" title="Move the panel (right, left, bottom)" style="${PANEL_BUTTON}padding:0 4px;margin-left:4px;">⇄</button>
+        <button data-action="collapse" title="Collapse (F7)" style="${PANEL_BUTTON}padding:0 4px;margin-left:4px;">▾</button>
+      </div>
+      <div id="frametape-body">
+        <div style="display:flex;gap:4px;align-items:center;margin-bottom:8px;">
+          <button data-action="play" title="Resume (F8)" style="${PANEL_BUTTON}">▶</button>
+          <button data-action="pause" title="Pause (F8)" style="${PANEL_BUTTON}">⏸</button>
+          <button data-action="step" data-value="1" title="Step 1 frame (F10)" style="${PANEL_BUTTON}">⏭ 1</button>
+          <button data-action="step" data-value="10" title="Step 10 frames (Shift+F10)" style="${PANEL_BUTTON}">⏭ 10</button>
+          <select id="frametape-slowmo" title="Slow motion (F9)" style="${PANEL_BUTTON}">
+            <option value="0">1×</option>
+            <option value="10">10 fps</option>
+            <option value="5">5 fps</option>
+            <option value="2">2 fps</option>
+            <option value="1">1 fps</option>
+          </select>
+        </div>
+        <div id="frametape-frame" style="margin-bottom:8px;color:#00ff88;">Frame: 0</div>
+        <div id="frametape-perf" style="margin-bottom:8px;color:#ffaa00;">FPS: --</div>
+        <div style="${PANEL_SECTION_TITLE}">TIMELINE:</div>
+        <div style="${PANEL_BOX}">
+          <input id="frametape-timeline" type="range" min="0" max="0" value="0" style="width:100%;margin:0;" />
+          <div style="display:flex;gap:4px;align-items:center;">
+            <span id="frametape-timeline-label" style="flex:1;color:#888;">Live</span>
+            <button data-action="rewind" id="frametape-rewind" title="Rewind the app to this frame" style="${PANEL_BUTTON}display:none;">⏪ Rewind here</button>
+            <button data-action="live" id="frametape-live" title="Back to the live frame" style="${PANEL_BUTTON}display:none;">Live</button>
+          </div>
+          <img id="frametape-preview-image" style="display:none;width:${CONFIG.filmStripWidth}px;height:${CONFIG.filmStripHeight}px;margin:6px auto 0;border:1px solid #444;border-radius:2px;" />
+        </div>
+        <div id="frametape-breakpoint" style="margin-bottom:8px;color:#ff4444;display:none;"></div>
+        <div style="${PANEL_SECTION_TITLE}">WATCH:</div>
+        <div id="frametape-watches" style="${PANEL_BOX}max-height:100px;"></div>
+        <div style="${PANEL_SECTION_TITLE}">STATE: <span style="color:#666;font-weight:normal;">(double-click a value to edit)</span></div>
+        <div id="frametape-state" style="${PANEL_BOX}max-height:240px;white-space:pre;"></div>
+        <div style="${PANEL_SECTION_TITLE}">EVENTS:</div>
+        <div id="frametape-events" style="${PANEL_BOX}max-height:120px;"></div>
+        <div style="${PANEL_SECTION_TITLE}">ERRORS:</div>
+        <div id="frametape-errors" style="${PANEL_BOX}max-height:80px;color:#ff4444;">None</div>
+        <div style="${PANEL_SECTION_TITLE}">PROFILE:</div>
+        <div id="frametape-profile" style="${PANEL_BOX}max-height:100px;">No frames yet</div>
+        <div style="${PANEL_SECTION_TITLE}">INVARIANTS:</div>
+        <div id="frametape-invariants" style="${PANEL_BOX}max-height:80px;">None</div>
+        <div id="frametape-plugins"></div>
+        <div style="${PANEL_SECTION_TITLE}">FILM STRIP:</div>
+        <div id="frametape-filmstrip" style="display:flex;flex-wrap:wrap;gap:4px;justify-content:center;"></div>
       </div>
-      <div id="frametape-frame" style="margin-bottom:8px;color:#00ff88;">Frame: 0</div>
-      <div id="frametape-perf" style="margin-bottom:8px;color:#ffaa00;">FPS: --</div>
-      <div style="color:#00aaff;font-weight:bold;margin-bottom:4px;">STATE:</div>
-      <pre id="frametape-state" style="background:#0d0d1a;padding:6px;border-radius:4px;max-height:200px;overflow-y:auto;white-space:pre-wrap;word-break:break-all;font-size:10px;margin-bottom:8px;border:1px solid #333;"></pre>
-      <div style="color:#00aaff;font-weight:bold;margin-bottom:4px;">EVENTS:</div>
-      <div id="frametape-events" style="background:#0d0d1a;padding:6px;border-radius:4px;max-height:120px;overflow-y:auto;font-size:10px;margin-bottom:8px;border:1px solid #333;"></div>
-      <div style="color:#00aaff;font-weight:bold;margin-bottom:4px;">ERRORS:</div>
-      <div id="frametape-errors" style="background:#0d0d1a;padding:6px;border-radius:4px;max-height:80px;overflow-y:auto;font-size:10px;margin-bottom:8px;border:1px solid #333;color:#ff4444;">None</div>
-      <div style="color:#00aaff;font-weight:bold;margin-bottom:4px;">FILM STRIP:</div>
-      <div id="frametape-filmstrip" style="display:flex;flex-wrap:wrap;gap:4px;justify-content:center;"></div>
     `;
 
+    const on = (type, listener) => originalAddEventListener.call(debugPanelEl, type, listener);
+    on('click', function (e) {
+      const button = e.target.closest('[data-action]');
+      if (button) {
+        // Give the keyboard back to the app
+        if (button.blur) button.blur();
+        runPanelAction(button.dataset.action, button.dataset.value);
+        return;
+      }
+      const toggle = e.target.closest('[data-toggle]');
+      if (toggle) {
+        const key = toggle.dataset.toggle;
+        if (panelExpanded.has(key)) panelExpanded.delete(key);
+        else panelExpanded.add(key);
+        panelTreeKey = null;
+        updateStateTree();
+      }
+    });
+    on('dblclick', function (e) {
+      const value = e.target.closest('[data-edit]');
+      if (value) openStateEditor(value);
+    });
+    on('input', function (e) {
+      if (e.target.id === 'frametape-timeline') runPanelAction('preview', e.target.value);
+    });
+    on('change', function (e) {
+      if (e.target.id === 'frametape-slowmo') {
+        e.target.blur();
+        runPanelAction('slowFps', e.target.value);
+      }
+    });
+    on('pointerdown', function (e) {
+      if (e.target.id === 'frametape-resize') startPanelResize(e);
+    });
+    PANEL_ISOLATED_EVENTS.forEach(type => on(type, e => e.stopPropagation()));
+
     document.body.appendChild(debugPanelEl);
+    panelTreeKey = null;
+    renderPluginSections();
+    applyPanelLayout();
   }
 
   function removeDebugPanel() {
     if (debugPanelEl) {
       debugPanelEl.remove();
       debugPanelEl = null;
+      panelPreviewFrame = null;
+      panelEditing = false;
+    }
+  }
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  }
+
+  // ---- State tree ----
+
+  function treeValueText(value) {
+    if (Array.isArray(value)) return `[${value.length}]`;
+    if (value !== null && typeof value === 'object') return `{${Object.keys(value).length}}`;
+    return JSON.stringify(value);
+  }
+
+  function treeValueColor(value) {
+    if (typeof value === 'string') return '#ffaa00';
+    if (typeof value === 'number') return '#66ccff';
+    if (typeof value === 'boolean' || value === null) return '#ff88cc';
+    return '#888';
+  }
+
+  // One row per key; objects and arrays open with a click. Values carry
+  // their path (data-edit, a JSON array) when editing is allowed.
+  function buildTreeRows(parent, value, path, depth, editable, highlight) {
+    const keys = Array.isArray(value) ? value.map((_, i) => i) : Object.keys(value);
+    keys.slice(0, PANEL_TREE_CHILD_LIMIT).forEach(function (key) {
+      const child = value[key];
+      const childPath = path.concat(key);
+      const pathKey = JSON.stringify(childPath);
+      const isContainer = child !== null && typeof child === 'object';
+      const open = isContainer && panelExpanded.has(pathKey);
+
+      const row = document.createElement('div');
+      row.style.paddingLeft = (depth * 12) + 'px';
+      if (depth === 0 && highlight.has(String(key))) row.style.background = '#3a3a00';
+
+      const label = document.createElement('span');
+      label.textContent = `${isContainer ? (open ? '▾ ' : '▸ ') : '  '}${key}: `;
+      label.style.color = depth === 0 && highlight.has(String(key)) ? '#ffff66' : '#e0e0e0';
+      if (isContainer) {
+        label.dataset.toggle = pathKey;
+        label.style.cursor = 'pointer';
+      }
+      row.appendChild(label);
+
+      const text = document.createElement('span');
+      text.textContent = open ? '' : treeValueText(child);
+      text.style.color = treeValueColor(child);
+      if (editable) {
+        text.dataset.edit = pathKey;
+        text.title = 'Double-click to edit';
+        if (open) text.textContent = Array.isArray(child) ? '[…]' : '{…}';
+      }
+      row.appendChild(text);
+      parent.appendChild(row);
+
+      if (open) buildTreeRows(parent, child, childPath, depth + 1, editable, highlight);
+    });
+    if (keys.length > PANEL_TREE_CHILD_LIMIT) {
+      const more = document.createElement('div');
+      more.style.cssText = `padding-left:${depth * 12}px;color:#666;`;
+      more.textContent = `  … ${keys.length - PANEL_TREE_CHILD_LIMIT} more`;
+      parent.appendChild(more);
+    }
+  }
+
+  function previewRecord() {
+    return panelPreviewFrame === null ? null : findRecord(panelPreviewFrame);
+  }
+
+  function updateStateTree(liveState) {
+    const stateEl = document.getElementById('frametape-state');
+    if (!stateEl || panelEditing) return;
+    const record = previewRecord();
+    const state = record ? record.state : liveState === undefined ? getState() : liveState;
+    const editable = !record && !!stateInjector && state !== null && typeof state === 'object' && !Array.isArray(state);
+    const highlight = record ? new Set() : lastChangedKeys;
+    const key = JSON.stringify(state) + '|' + (record ? record.frame : 'live') + '|' + Array.from(highlight).join(',');
+    if (key === panelTreeKey) return;
+    panelTreeKey = key;
+
+    stateEl.textContent = '';
+    if (state === null || state === undefined) {
+      stateEl.textContent = 'No state provider';
+    } else if (typeof state !== 'object') {
+      stateEl.textContent = JSON.stringify(state);
+    } else {
+      buildTreeRows(stateEl, state, [], 0, editable, highlight);
+    }
+  }
+
+  // Edits a value in place: Enter applies it through setState(), Escape or
+  // leaving the field cancels. Input that isn't JSON is taken as a string.
+  function openStateEditor(valueEl) {
+    const path = JSON.parse(valueEl.dataset.edit);
+    const current = resolvePath(getState(), path);
+    const editor = document.createElement('input');
+    editor.value = JSON.stringify(current);
+    editor.style.cssText = 'width:60%;background:#000;color:#fff;border:1px solid #00ff88;font:inherit;padding:0 2px;';
+    valueEl.replaceWith(editor);
+    panelEditing = true;
+
+    let done = false;
+    const close = function (apply) {
+      if (done) return;
+      done = true;
+      panelEditing = false;
+      if (apply) {
+        let value;
+        try {
+          value = JSON.parse(editor.value);
+        } catch (e) {
+          value = editor.value;
+        }
+        applyStateEdit(path, value);
+      }
+      panelTreeKey = null;
+      updateDebugPanel();
+    };
+    originalAddEventListener.call(editor, 'keydown', function (e) {
+      if (e.key === 'Enter') close(true);
+      else if (e.key === 'Escape') close(false);
+    });
+    originalAddEventListener.call(editor, 'blur', () => close(false));
+    editor.focus();
+    editor.select();
+  }
+
+  // setState() patches top-level keys, so a nested edit replaces its whole
+  // top-level value with a modified copy
+  function applyStateEdit(path, value) {
+    const state = getState();
+    if (!state) return;
+    const top = path[0];
+    if (path.length === 1) {
+      window.__AI_DEBUG__.setState({ [top]: value });
+      return;
+    }
+    const copy = JSON.parse(JSON.stringify(state[top]));
+    let target = copy;
+    path.slice(1, -1).forEach(function (key) {
+      target = target[key];
+    });
+    target[path[path.length - 1]] = value;
+    window.__AI_DEBUG__.setState({ [top]: copy });
+  }
+
+  // ---- Timeline ----
+
+  function updateTimeline() {
+    const slider = document.getElementById('frametape-timeline');
+    if (!slider) return;
+    const first = frameTape[0];
+    const last = frameTape[frameTape.length - 1];
+    slider.disabled = !first;
+    if (!first) return;
+    slider.min = first.frame;
+    slider.max = last.frame;
+    if (panelPreviewFrame !== null && (panelPreviewFrame < first.frame || panelPreviewFrame > last.frame)) {
+      panelPreviewFrame = null;
+    }
+    if (panelPreviewFrame === null) slider.value = last.frame;
+
+    const previewing = panelPreviewFrame !== null;
+    const label = document.getElementById('frametape-timeline-label');
+    label.textContent = previewing
+      ? `Previewing F${panelPreviewFrame} of ${first.frame}–${last.frame}`
+      : `Live · F${first.frame}–${last.frame}`;
+    label.style.color = previewing ? '#ffaa00' : '#888';
+    document.getElementById('frametape-rewind').style.display = previewing && stateInjector ? 'inline-block' : 'none';
+    document.getElementById('frametape-live').style.display = previewing ? 'inline-block' : 'none';
+
+    // Nearest film strip thumbnail at or before the previewed frame
+    const image = document.getElementById('frametape-preview-image');
+    const thumb = previewing ? filmStripBuffer.filter(f => f.frame <= panelPreviewFrame).pop() : null;
+    if (thumb) {
+      if (image.getAttribute('src') !== thumb.dataUrl) image.src = thumb.dataUrl;
+      image.title = `Thumbnail of frame ${thumb.frame}`;
+      image.style.display = 'block';
+    } else {
+      image.style.display = 'none';
     }
   }
 
@@ -379,6 +5218,21 @@
       frameEl.textContent = `Frame: ${frameCount} | ${paused ? 'PAUSED' : stepping ? 'STEPPING' : slowMotionFPS ? `SLOW(${slowMotionFPS}fps)` : 'RUNNING'}`;
     }
 
+    // Transport — highlight the active control
+    debugPanelEl.querySelector('[data-action="play"]').style.borderColor = !paused && !stepping ? '#00ff88' : '#444';
+    debugPanelEl.querySelector('[data-action="pause"]').style.borderColor = paused ? '#00ff88' : '#444';
+    const slowSelect = document.getElementById('frametape-slowmo');
+    if (slowSelect && document.activeElement !== slowSelect) {
+      const fps = String(slowMotionFPS || 0);
+      if (!Array.from(slowSelect.options).some(o => o.value === fps)) {
+        const option = document.createElement('option');
+        option.value = fps;
+        option.textContent = `${fps} fps`;
+        slowSelect.appendChild(option);
+      }
+      slowSelect.value = fps;
+    }
+
     // Performance
     const perfEl = document.getElementById('frametape-perf');
     if (perfEl && frameTape.length > 1) {
@@ -388,11 +5242,37 @@
       perfEl.textContent = `FPS: ${fps} | Avg frame: ${avgDuration.toFixed(1)}ms`;
     }
 
-    // State
-    const stateEl = document.getElementById('frametape-state');
-    if (stateEl) {
-      const state = getState();
-      stateEl.textContent = state ? JSON.stringify(state, null, 2) : 'No state provider';
+    updateTimeline();
+
+    // Breakpoint
+    const breakpointEl = document.getElementById('frametape-breakpoint');
+    if (breakpointEl) {
+      const lastHit = breakpointHits[breakpointHits.length - 1];
+      if (lastHit && lastHit.frame === frameCount) {
+        breakpointEl.style.display = 'block';
+        breakpointEl.textContent = `⛔ Breakpoint: ${lastHit.label}`;
+      } else {
+        breakpointEl.style.display = 'none';
+      }
+    }
+
+    // State — keys changed by the last frame are highlighted
+    const state = getState();
+    updateStateTree(state);
+
+    // Watches
+    const watchesEl = document.getElementById('frametape-watches');
+    if (watchesEl) {
+      if (watches.length === 0) {
+        watchesEl.textContent = 'No watches';
+      } else {
+        watchesEl.textContent = '';
+        readWatches(state).forEach(function (w) {
+          const row = document.createElement('div');
+          row.textContent = `${w.label} = ${JSON.stringify(w.value)}`;
+          watchesEl.appendChild(row);
+        });
+      }
     }
 
     // Events
@@ -403,10 +5283,10 @@
         eventsEl.textContent = 'No events yet';
       } else {
         eventsEl.innerHTML = recentEvents.map(e => {
-          const parts = [`<span style="color:#888;">F${e.frame || '?'}</span>`];
-          parts.push(`<span style="color:#ffaa00;">${e.type}</span>`);
-          if (e.key) parts.push(`key=${e.key}`);
-          if (e.x !== undefined) parts.push(`(${e.x},${e.y})`);
+          const parts = [`<span style="color:#888;">F${escapeHtml(e.frame || '?')}</span>`];
+          parts.push(`<span style="color:#ffaa00;">${escapeHtml(e.type)}</span>`);
+          if (e.key) parts.push(`key=${escapeHtml(e.key)}`);
+          if (e.x !== undefined) parts.push(escapeHtml(`(${e.x},${e.y})`));
           return parts.join(' ');
         }).join('<br>');
       }
@@ -420,39 +5300,310 @@
         errorsEl.style.color = '#00ff88';
       } else {
         errorsEl.style.color = '#ff4444';
-        errorsEl.innerHTML = jsErrors.slice(-5).map(e =>
-          `<div>F${e.frame}: ${e.message}</div>`
-        ).join('');
+        // Repeats collapse into one line with a count
+        errorsEl.innerHTML = Array.from(errorGroups.values())
+          .sort((a, b) => a.lastSeq - b.lastSeq)
+          .slice(-5)
+          .map(g => `<div>F${g.lastFrame}: ${escapeHtml(g.message)}${g.count > 1 ? ` <span style="color:#888;">×${g.count}</span>` : ''}</div>`)
+          .join('');
+      }
+    }
+
+    // Profile (last frame + recent percentiles)
+    const profileEl = document.getElementById('frametape-profile');
+    const lastRecord = frameTape[frameTape.length - 1];
+    if (profileEl && lastRecord && lastRecord.profile) {
+      const recentTimes = frameTape.slice(-120).filter(f => f.profile).map(f => f.profile.scriptTime);
+      const stats = distribution(recentTimes);
+      const lines = [
+        `Script: ${lastRecord.profile.scriptTime}ms${lastRecord.profile.longFrame ? ' ⚠ LONG' : ''} | budget ${CONFIG.frameBudget}ms`,
+        `Last ${recentTimes.length}: p50 ${stats.p50}ms, p95 ${stats.p95}ms, max ${stats.max}ms | long frames: ${longFrameCount}`,
+      ];
+      lastRecord.profile.measures.forEach(m => lines.push(`  ${m.name}: ${m.ms}ms`));
+      profileEl.textContent = lines.join('\n');
+      profileEl.style.whiteSpace = 'pre-wrap';
+      profileEl.style.color = lastRecord.profile.longFrame ? '#ffaa00' : '#e0e0e0';
+    }
+
+    // Invariants
+    const invariantsEl = document.getElementById('frametape-invariants');
+    if (invariantsEl) {
+      const failing = invariants.filter(i => i.failing);
+      if (invariants.length === 0) {
+        invariantsEl.textContent = 'None';
+        invariantsEl.style.color = '#888';
+      } else if (failing.length === 0) {
+        invariantsEl.textContent = `All ${invariants.length} passing (${violationCount} violations total)`;
+        invariantsEl.style.color = '#00ff88';
+      } else {
+        invariantsEl.style.color = '#ff4444';
+        invariantsEl.textContent = '';
+        failing.forEach(function (i) {
+          const row = document.createElement('div');
+          row.textContent = `✗ ${i.name} (${i.violationCount}×)`;
+          invariantsEl.appendChild(row);
+        });
       }
     }
 
+    // Plugin sections
+    if (plugins.length > 0) updatePluginSections(lastRecord);
+
     // Film strip
     const filmEl = document.getElementById('frametape-filmstrip');
     if (filmEl) {
       filmEl.innerHTML = filmStripBuffer.map(f =>
-        `<div style="text-align:center;">
-          <img src="${f.dataUrl}" style="width:${CONFIG.filmStripWidth / 2}px;height:${CONFIG.filmStripHeight / 2}px;border:1px solid #444;border-radius:2px;" />
-          <div style="font-size:9px;color:#888;">F${f.frame}</div>
+        `<div data-action="preview" data-value="${escapeHtml(f.frame)}" title="Preview frame ${escapeHtml(f.frame)}" style="text-align:center;cursor:pointer;">
+          <img src="${escapeHtml(f.dataUrl)}" style="width:${CONFIG.filmStripWidth / 2}px;height:${CONFIG.filmStripHeight / 2}px;border:1px solid #444;border-radius:2px;" />
+          <div style="font-size:9px;color:#888;">F${escapeHtml(f.frame)}</div>
         </div>`
       ).join('');
     }
   }
 
+  function setMode(newMode) {
+    mode = newMode;
+    if (mode === 'ai') {
+      createDebugPanel();
+    } else {
+      removeDebugPanel();
+      paused = false;
+      stepping = false;
+      slowMotionFPS = null;
+    }
+  }
+
+  // ============================================================
+  // Remote Bridge (JSON-RPC)
+  // ============================================================
+  // Exposes window.__AI_DEBUG__ as JSON-RPC 2.0 over a WebSocket (usually to
+  // bridge/relay.js) or postMessage. Requests name an API method ("step",
+  // "input.pressKey") and pass positional params; Promise results are
+  // awaited. Pushed notifications are "frametape.<event>".
+  const BRIDGE_EVENTS = ['frame', 'jsError', 'breakpoint', 'violation', 'paused'];
+  const DEFAULT_BRIDGE_URL = 'ws://127.0.0.1:9229/page';
+  const BRIDGE_CHANNEL = 'frametape-rpc';
+
+  function bridgeSend(message) {
+    if (!bridge) return;
+    let text;
+    try {
+      text = JSON.stringify(message);
+    } catch (e) {
+      text = JSON.stringify({
+        jsonrpc: '2.0', id: message.id, error: { code: -32603, message: 'Result is not serializable: ' + e.message },
+      });
+    }
+    if (bridge.transport === 'websocket') {
+      if (bridge.socket && bridge.socket.readyState === 1) bridge.socket.send(text);
+    } else {
+      bridge.target.postMessage({ channel: BRIDGE_CHANNEL, message: JSON.parse(text) }, bridge.targetOrigin);
+    }
+  }
+
+  function notifyBridge(event, params) {
+    if (bridge && bridge.events.has(event)) {
+      bridgeSend({ jsonrpc: '2.0', method: 'frametape.' + event, params });
+    }
+  }
+
+  // Sends errors captured since the last call, in or between frames
+  function flushBridgeErrors() {
+    if (!bridge) return;
+    if (bridge.errorsSent > errorTotal()) bridge.errorsSent = 0; // cleared or rewound
+    jsErrors.slice(Math.max(0, bridge.errorsSent - errorsDropped)).forEach(err => notifyBridge('jsError', err));
+    bridge.errorsSent = errorTotal();
+  }
+
+  function notifyFrame(record, hit, newlyFailing, pausedNow) {
+    notifyBridge('frame', {
+      frame: record.frame,
+      timestamp: record.timestamp,
+      duration: record.duration,
+      events: record.events.length,
+      errors: record.errors.length,
+      longFrame: record.profile.longFrame,
+    });
+    flushBridgeErrors();
+    if (hit) notifyBridge('breakpoint', { id: hit.id, label: hit.label, frame: record.frame });
+    if (newlyFailing.length > 0) notifyBridge('violation', { frame: record.frame, violations: newlyFailing });
+    if (pausedNow) {
+      notifyBridge('paused', { frame: frameCount, reason: hit ? 'breakpoint' : newlyFailing.length > 0 ? 'violation' : 'step' });
+    }
+  }
+
+  function resolveBridgeMethod(name) {
+    if (typeof name !== 'string' || name === '') return null;
+    let owner = null;
+    let value = window.__AI_DEBUG__;
+    for (const part of name.split('.')) {
+      if (part.startsWith('_') || value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, part)) {
+        return null;
+      }
+      owner = value;
+      value = value[part];
+    }
+    return typeof value === 'function' ? { owner, fn: value } : null;
+  }
+
+  function listBridgeMethods(object, prefix) {
+    const names = [];
+    Object.keys(object).forEach(function (key) {
+      if (typeof object[key] === 'function') names.push(prefix + key);
+      else if (object[key] && typeof object[key] === 'object') names.push(...listBridgeMethods(object[key], prefix + key + '.'));
+    });
+    return names;
+  }
+
+  function handleBridgeRequest(request) {
+    const reply = function (body) {
+      if (request && request.id !== undefined && request.id !== null) {
+        bridgeSend(Object.assign({ jsonrpc: '2.0', id: request.id }, body));
+      }
+    };
+    if (!request || typeof request.method !== 'string') {
+      reply({ error: { code: -32600, message: 'Invalid request' } });
+      return;
+    }
+    const params = request.params === undefined ? [] : request.params;
+    if (!Array.isArray(params)) {
+      reply({ error: { code: -32602, message: 'params must be an array of positional arguments' } });
+      return;
+    }
+
+    if (request.method === 'bridge.subscribe') {
+      const events = (params[0] || []).filter(e => BRIDGE_EVENTS.includes(e));
+      bridge.events = new Set(events);
+      reply({ result: { events } });
+      return;
+    }
+    if (request.method === 'bridge.listMethods') {
+      reply({ result: listBridgeMethods(window.__AI_DEBUG__, '') });
+      return;
+    }
+
+    const method = resolveBridgeMethod(request.method);
+    if (!method) {
+      reply({ error: { code: -32601, message: `Method not found: ${request.method}` } });
+      return;
+    }
+    Promise.resolve()
+      .then(() => method.fn.apply(method.owner, params))
+      .then(
+        result => reply({ result: result === undefined ? null : result }),
+        e => reply({ error: { code: -32000, message: e && e.message ? e.message : String(e) } })
+      );
+  }
+
+  function handleBridgeText(text) {
+    let request;
+    try {
+      request = JSON.parse(text);
+    } catch (e) {
+      bridgeSend({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      return;
+    }
+    handleBridgeRequest(request);
+  }
+
+  function bridgeHello() {
+    return {
+      jsonrpc: '2.0',
+      method: 'frametape.hello',
+      params: { library: 'FrameTape', version: VERSION, url: window.location.href, title: document.title },
+    };
+  }
+
+  function openBridgeSocket(current) {
+    const socket = new OriginalWebSocket(current.url);
+    current.socket = socket;
+    socket.onopen = function () {
+      current.connected = true;
+      current.retryDelay = 1000;
+      bridgeSend(bridgeHello());
+    };
+    socket.onmessage = function (e) {
+      handleBridgeText(e.data);
+    };
+    socket.onclose = function () {
+      current.connected = false;
+      if (bridge !== current || !current.reconnect) return;
+      // Retry with backoff, so the relay can be started after the page
+      originalSetTimeout.call(window, function () {
+        if (bridge === current) openBridgeSocket(current);
+      }, current.retryDelay);
+      current.retryDelay = Math.min(current.retryDelay * 2, 5000);
+    };
+  }
+
+  // Defaults to this page's origin, so other pages can neither read the
+  // messages nor send requests. '/' is same-origin for pages without one.
+  function ownOrigin() {
+    return window.location.origin && window.location.origin !== 'null' ? window.location.origin : '/';
+  }
+
+  function onBridgePostMessage(e) {
+    if (!bridge || bridge.transport !== 'postMessage') return;
+    if (!e.data || e.data.channel !== BRIDGE_CHANNEL || e.source !== bridge.target) return;
+    if (bridge.allowedOrigins.indexOf('*') === -1 && bridge.allowedOrigins.indexOf(e.origin) === -1) return;
+    handleBridgeRequest(e.data.message);
+  }
+
+  function connectBridge(options) {
+    options = options || {};
+    disconnectBridge();
+    const events = new Set(options.events || ['jsError', 'breakpoint', 'violation', 'paused']);
+
+    if (options.transport === 'postMessage' || options.target) {
+      const target = options.target || window.parent;
+      if (!target || target === window) {
+        return { connected: false, error: 'postMessage bridge needs a target window (e.g. window.parent or an iframe)' };
+      }
+      bridge = {
+        transport: 'postMessage',
+        target,
+        targetOrigin: options.targetOrigin || ownOrigin(),
+        allowedOrigins: options.allowedOrigins || [options.targetOrigin || window.location.origin],
+        events,
+        errorsSent: errorTotal(),
+        connected: true,
+      };
+      bridgeSend(bridgeHello());
+      return { connected: true, transport: 'postMessage' };
+    }
+
+    if (!OriginalWebSocket) return { connected: false, error: 'WebSocket is not available' };
+    bridge = {
+      transport: 'websocket',
+      url: options.url || DEFAULT_BRIDGE_URL,
+      reconnect: options.reconnect !== false,
+      retryDelay: 1000,
+      socket: null,
+      events,
+      errorsSent: errorTotal(),
+      connected: false,
+    };
+    openBridgeSocket(bridge);
+    return { connecting: true, transport: 'websocket', url: bridge.url };
+  }
+
+  function disconnectBridge() {
+    if (!bridge) return { disconnected: false };
+    const old = bridge;
+    bridge = null;
+    if (old.socket) old.socket.close();
+    return { disconnected: true };
+  }
+
+  originalAddEventListener.call(window, 'message', onBridgePostMessage);
+
   // ============================================================
   // Public API: window.__AI_DEBUG__
   // ============================================================
   window.__AI_DEBUG__ = {
     // --- Mode ---
     setMode: function (newMode) {
-      mode = newMode;
-      if (mode === 'ai') {
-        createDebugPanel();
-      } else {
-        removeDebugPanel();
-        paused = false;
-        stepping = false;
-        slowMotionFPS = null;
-      }
+      setMode(newMode);
       return { mode };
     },
 
@@ -471,8 +5622,8 @@
       paused = false;
       stepping = false;
       // Re-trigger the rAF loop if there are pending callbacks
-      if (rafCallbacks.length > 0) {
-        originalRAF.call(window, function (ts) { executeFrame(ts); });
+      if (hasPendingFrameWork()) {
+        requestFrame(0);
       }
       // Also notify the app to request a new frame
       return { paused: false, frame: frameCount };
@@ -480,19 +5631,20 @@
 
     step: function (n) {
       n = n || 1;
+      supersedePendingStep();
       stepsRemaining = n;
       stepping = true;
       paused = false;
 
       // Trigger the next frame
-      if (rafCallbacks.length > 0) {
-        originalRAF.call(window, function (ts) { executeFrame(ts); });
+      if (hasPendingFrameWork()) {
+        requestFrame(0);
       }
 
       return new Promise(function (resolve) {
         frameResolve = resolve;
         // Timeout safety
-        setTimeout(function () {
+        originalSetTimeout.call(window, function () {
           if (frameResolve === resolve) {
             frameResolve = null;
             resolve({ frame: frameCount, state: getState(), timeout: true });
@@ -505,13 +5657,14 @@
     // This is useful when calling from evaluate() which may not handle promises
     stepSync: function (n) {
       n = n || 1;
+      supersedePendingStep();
       stepsRemaining = n;
       stepping = true;
       paused = false;
 
       // Trigger frames
-      if (rafCallbacks.length > 0) {
-        originalRAF.call(window, function (ts) { executeFrame(ts); });
+      if (hasPendingFrameWork()) {
+        requestFrame(0);
       }
 
       return { stepping: true, stepsRemaining: n, frame: frameCount };
@@ -521,10 +5674,10 @@
       slowMotionFPS = fps;
       paused = false;
       stepping = false;
-      lastSlowMotionTime = performance.now();
+      lastSlowMotionTime = realNow();
       // Re-trigger loop
-      if (rafCallbacks.length > 0) {
-        originalRAF.call(window, function (ts) { executeFrame(ts); });
+      if (hasPendingFrameWork()) {
+        requestFrame(0);
       }
       return { slowMotionFPS: fps };
     },
@@ -534,6 +5687,27 @@
       return { slowMotionFPS: null };
     },
 
+    // --- Virtual Clock ---
+    enableVirtualClock: function (options) {
+      options = options || {};
+      enableVirtualClock(options.frameDelta);
+      return { virtualClock: true, time: virtualTime, frameDelta: virtualFrameDelta };
+    },
+
+    disableVirtualClock: function () {
+      disableVirtualClock();
+      return { virtualClock: false };
+    },
+
+    getClock: function () {
+      return {
+        virtualClock,
+        time: virtualClock ? virtualTime : realNow(),
+        frameDelta: virtualClock ? virtualFrameDelta : null,
+        pendingTimers: virtualTimers.length,
+      };
+    },
+
     // --- State ---
     getState: function () {
       return getState();
@@ -541,20 +5715,200 @@
 
     setState: function (patch) {
       if (stateInjector) {
-        stateInjector(patch);
+        stateInjector(decodeState(patch));
         return { success: true, state: getState() };
       }
       return { success: false, error: 'No state injector registered' };
     },
 
+    // --- Time Travel ---
+    rewindTo: function (frame, options) {
+      options = options || {};
+      return rewindTo(frame, options.branch);
+    },
+
+    createBranch: function (name, frame) {
+      return rewindTo(frame === undefined ? frameCount : frame, name);
+    },
+
+    switchBranch: function (name) {
+      return switchBranch(name);
+    },
+
+    getBranches: function () {
+      const names = new Set([currentBranch, ...branches.keys()]);
+      return Array.from(names).map(function (name) {
+        const branch = branches.get(name) || {};
+        const tape = name === currentBranch ? frameTape : (branch.tape || []);
+        return {
+          name,
+          parent: branch.parent || null,
+          forkFrame: branch.forkFrame === undefined ? null : branch.forkFrame,
+          firstFrame: tape.length > 0 ? tape[0].frame : null,
+          lastFrame: tape.length > 0 ? tape[tape.length - 1].frame : null,
+          current: name === currentBranch,
+        };
+      });
+    },
+
+    getCurrentBranch: function () {
+      return currentBranch;
+    },
+
+    compareBranches: function (nameA, nameB) {
+      return compareBranches(nameA, nameB);
+    },
+
+    deleteBranch: function (name) {
+      if (name === currentBranch) {
+        return { success: false, error: 'Cannot delete the current branch' };
+      }
+      return { success: branches.delete(name) };
+    },
+
+    // --- Profiler ---
+    mark: function (name) {
+      return mark(name);
+    },
+
+    measure: function (name, startMark, endMark) {
+      return measure(name, startMark, endMark);
+    },
+
+    getPerformanceReport: function (options) {
+      return getPerformanceReport(options);
+    },
+
+    // --- Breakpoints & Watches ---
+    pauseWhen: function (condition, options) {
+      const breakpoint = addBreakpoint(condition, options);
+      return { id: breakpoint.id, label: breakpoint.label };
+    },
+
+    removeBreakpoint: function (id) {
+      return { removed: removeBreakpoint(id) };
+    },
+
+    clearBreakpoints: function () {
+      breakpoints = [];
+      return { cleared: true };
+    },
+
+    getBreakpoints: function () {
+      return breakpoints.map(b => ({ id: b.id, label: b.label, once: b.once }));
+    },
+
+    getBreakpointHits: function (n) {
+      n = n || 20;
+      return breakpointHits.slice(-n);
+    },
+
+    runUntil: function (condition, options) {
+      return runUntil(condition, options);
+    },
+
+    watch: function (expression, label) {
+      const watch = addWatch(expression, label);
+      return { id: watch.id, label: watch.label };
+    },
+
+    unwatch: function (id) {
+      const before = watches.length;
+      watches = watches.filter(w => w.id !== id);
+      return { removed: watches.length !== before };
+    },
+
+    getWatches: function () {
+      return readWatches(getState());
+    },
+
+    // --- Invariants ---
+    addInvariant: function (name, check) {
+      addInvariant(name, check);
+      return { name, invariantCount: invariants.length };
+    },
+
+    removeInvariant: function (name) {
+      const before = invariants.length;
+      invariants = invariants.filter(i => i.name !== name);
+      return { removed: invariants.length !== before };
+    },
+
+    getInvariants: function () {
+      return invariants.map(i => ({ name: i.name, failing: i.failing, violationCount: i.violationCount }));
+    },
+
+    getViolations: function (n) {
+      n = n || 20;
+      return invariantViolations.slice(-n);
+    },
+
+    // --- Sessions ---
+    startSession: function (options) {
+      options = options || {};
+      const started = startSession(options.seed);
+      return { recording: true, seed: started.seed, startFrame: started.startFrame };
+    },
+
+    stopSession: function () {
+      const exported = session ? exportSession() : null;
+      session = null;
+      return exported;
+    },
+
+    exportSession: function () {
+      return exportSession();
+    },
+
+    replaySession: function (recorded, options) {
+      return replaySession(recorded, options);
+    },
+
+    // --- Test Generation ---
+    generateTest: function (options) {
+      return generateTest(options);
+    },
+
+    // --- Input Injection ---
+    input: input,
+
     // --- Registration ---
     registerStateProvider: function (getter, setter) {
       stateProvider = getter;
       stateInjector = setter || null;
     },
 
-    registerCanvas: function (canvas) {
-      sourceCanvas = canvas;
+    registerSerializer: function (type, handlers) {
+      return registerSerializer(type, handlers);
+    },
+
+    // --- Store Adapters ---
+    connectRedux: function (store, options) {
+      return connectRedux(store, options);
+    },
+
+    connectZustand: function (store) {
+      return connectZustand(store);
+    },
+
+    connectMobx: function (store, options) {
+      return connectMobx(store, options);
+    },
+
+    disconnectStore: function () {
+      return disconnectStore();
+    },
+
+    getActionLog: function (n) {
+      return getActionLog(n || 20);
+    },
+
+    registerCanvas: function (canvas, options) {
+      return registerCanvas(canvas, options);
+    },
+
+    registerRoot: function (element) {
+      return registerRoot(element);
     },
 
     // --- FrameTape ---
@@ -569,13 +5923,98 @@
       return frameTape.slice(-n);
     },
 
+    // --- Queries ---
+    queryTape: function (query) {
+      return queryTape(query);
+    },
+
+    firstFrameWhere: function (where, options) {
+      let found = null;
+      const error = scanTape(where, options, function (record) {
+        found = record.frame;
+        return false;
+      });
+      return error ? { success: false, error } : found;
+    },
+
+    lastFrameWhere: function (where, options) {
+      let found = null;
+      const error = scanTape(where, Object.assign({}, options, { order: 'desc' }), function (record) {
+        found = record.frame;
+        return false;
+      });
+      return error ? { success: false, error } : found;
+    },
+
+    countWhere: function (where, options) {
+      let count = 0;
+      const error = scanTape(where, options, function () { count++; });
+      return error ? { success: false, error } : count;
+    },
+
+    valuesOf: function (path, options) {
+      return valuesOf(path, options);
+    },
+
+    diffState: function (frameA, frameB) {
+      return diffState(frameA, frameB);
+    },
+
+    getChangedPaths: function (frame) {
+      return getChangedPaths(frame === undefined ? frameCount : frame);
+    },
+
     getFrameCount: function () {
       return frameCount;
     },
 
+    exportTape: function (options) {
+      return exportTape(options);
+    },
+
+    importTape: function (data, options) {
+      return importTape(data, options);
+    },
+
     // --- Film Strip ---
-    getFilmStrip: function () {
-      return filmStripBuffer.map(f => ({ frame: f.frame }));
+    getFilmStrip: function (options) {
+      const images = options && options.images;
+      return filmStripBuffer.map(f => (images ? { frame: f.frame, dataUrl: f.dataUrl } : { frame: f.frame }));
+    },
+
+    getFrameImage: function (frame, options) {
+      return getFrameImage(frame, options);
+    },
+
+    // --- Visual Regression ---
+    saveGolden: function (name, frame, options) {
+      return saveGolden(name, frame, options);
+    },
+
+    compareToGolden: function (name, options) {
+      return compareToGolden(name, options);
+    },
+
+    getGoldens: function () {
+      return Array.from(goldens.values()).map(g => ({ name: g.name, frame: g.frame, canvas: g.canvas, width: g.width, height: g.height }));
+    },
+
+    exportGolden: function (name) {
+      const g = goldens.get(name);
+      return g ? { name: g.name, frame: g.frame, canvas: g.canvas, width: g.width, height: g.height, dataUrl: g.dataUrl } : null;
+    },
+
+    importGolden: function (golden) {
+      return importGolden(golden);
+    },
+
+    deleteGolden: function (name) {
+      return { removed: goldens.delete(name) };
+    },
+
+    // --- DOM Capture ---
+    getDomSnapshot: function (frame) {
+      return getDomSnapshot(frame);
     },
 
     // --- Events ---
@@ -584,16 +6023,64 @@
       return eventLog.slice(-n);
     },
 
+    setEventCapture: function (options) {
+      return setEventCapture(options);
+    },
+
+    getEventCapture: function () {
+      return getEventCapture();
+    },
+
+    // --- Network ---
+    getNetworkLog: function (n) {
+      n = n || 20;
+      return networkLog.slice(-n);
+    },
+
+    stubNetwork: function (rules, options) {
+      return stubNetwork(rules, options);
+    },
+
+    clearNetworkStubs: function () {
+      const cleared = networkStubs.length;
+      networkStubs = [];
+      networkPassthrough = true;
+      return { cleared };
+    },
+
+    getNetworkStubs: function () {
+      return networkStubs.map(s => ({
+        url: String(s.rule.url),
+        method: s.rule.method || null,
+        websocket: !!s.rule.websocket,
+        once: !!s.rule.once,
+        used: s.used,
+      }));
+    },
+
     // --- Errors ---
     getErrors: function () {
       return jsErrors.slice();
     },
 
     clearErrors: function () {
-      jsErrors = [];
+      resetErrors([], 0);
       return { cleared: true };
     },
 
+    getErrorGroups: function () {
+      return getErrorGroups();
+    },
+
+    getErrorContext: function (errorIndex, options) {
+      return getErrorContext(errorIndex, options);
+    },
+
+    getConsoleLog: function (n) {
+      n = n || 20;
+      return consoleLog.slice(-n);
+    },
+
     // --- Random Seed ---
     setRandomSeed: function (seed) {
       setRandomSeed(seed);
@@ -605,6 +6092,18 @@
       return { cleared: true };
     },
 
+    getRandomState: function () {
+      return getRandomState();
+    },
+
+    setRandomState: function (state) {
+      return setRandomState(state);
+    },
+
+    getRandomStream: function (name) {
+      return getRandomStream(name);
+    },
+
     // --- Utility ---
     getConfig: function () {
       return { ...CONFIG };
@@ -625,15 +6124,29 @@
         paused,
         stepping,
         slowMotionFPS,
+        virtualClock,
         frameCount,
         tapeLength: frameTape.length,
+        branch: currentBranch,
         filmStripLength: filmStripBuffer.length,
+        canvases: canvases.map(c => c.name),
+        captureError,
         eventCount: eventLog.length,
-        errorCount: jsErrors.length,
+        errorCount: errorTotal(),
+        violationCount,
+        failingInvariants: invariants.filter(i => i.failing).map(i => i.name),
         avgFrameDuration: Math.round(avgDuration * 100) / 100,
+        longFrameCount,
         estimatedFPS: avgDuration > 0 ? Math.round(1000 / avgDuration) : null,
         state: getState(),
         recentErrors: jsErrors.slice(-3),
+        lastBreakpointHit: breakpointHits[breakpointHits.length - 1] || null,
+        store: storeAdapter ? storeAdapter.name : null,
+        persistence: persistence ? {
+          storage: persistence.storage,
+          lastFlushFrame: persistence.lastFlushFrame,
+          lastError: persistence.lastError,
+        } : null,
       };
     },
 
@@ -641,22 +6154,104 @@
     reset: function () {
       frameCount = 0;
       frameTape = [];
+      lastStored = null;
+      materialized = null;
       filmStripBuffer = [];
+      domSnapshots = [];
+      releaseFrameImages(frameImages);
+      frameImages = [];
+      captureError = null;
       eventLog = [];
       pendingEvents = [];
-      jsErrors = [];
+      queuedInputs = [];
+      networkLog = [];
+      pendingNetwork = [];
+      stubDeliveries = [];
+      consoleLog = [];
+      pendingConsole = [];
+      pendingActions = [];
+      resetErrors([], 0);
+      longFrameCount = 0;
       paused = false;
       stepping = false;
       stepsRemaining = 0;
+      currentBranch = 'main';
+      branches = new Map();
+      breakpointHits = [];
+      invariantViolations = [];
+      violationCount = 0;
+      invariants.forEach(function (i) {
+        i.failing = false;
+        i.violationCount = 0;
+      });
       return { reset: true };
     },
 
+    // --- Remote Bridge ---
+    connectBridge: function (options) {
+      return connectBridge(options);
+    },
+
+    disconnectBridge: function () {
+      return disconnectBridge();
+    },
+
+    getBridgeStatus: function () {
+      if (!bridge) return { connected: false };
+      return {
+        connected: bridge.connected,
+        transport: bridge.transport,
+        url: bridge.url,
+        events: Array.from(bridge.events),
+      };
+    },
+
+    // --- Persistence ---
+    enablePersistence: function (options) {
+      return enablePersistence(options);
+    },
+
+    disablePersistence: function (options) {
+      return disablePersistence(options);
+    },
+
+    getPreviousSession: function (options) {
+      return getPreviousSession(options);
+    },
+
+    // --- Plugins ---
+    use: function (plugin) {
+      return use(plugin);
+    },
+
+    removePlugin: function (name) {
+      return removePlugin(name);
+    },
+
+    getPlugins: function () {
+      return getPlugins();
+    },
+
     // --- Version ---
-    version: '1.0.0',
+    version: VERSION,
     name: 'FrameTape',
   };
 
-  console.log('%c🤖 FrameTape AI Debug Library v1.0.0 loaded', 'color: #00ff88; font-weight: bold;');
+  // createFrameTape({ config, plugins })
+  if (instanceOptions && instanceOptions.config) window.__AI_DEBUG__.setConfig(instanceOptions.config);
+  ((instanceOptions && instanceOptions.plugins) || []).forEach(function (plugin) {
+    const result = use(plugin);
+    if (!result.used) throw new Error(`FrameTape: ${result.error}`);
+  });
+
+  // ?frametape-persist or ?frametape-persist=indexedDB persists from the first frame
+  const persistParam = new URLSearchParams(window.location.search).get('frametape-persist');
+  if (persistParam !== null) {
+    enablePersistence({ storage: persistParam || undefined });
+  }
+
+  console.log(`%c🤖 FrameTape AI Debug Library v${VERSION} loaded`, 'color: #00ff88; font-weight: bold;');
   console.log('%c   Use window.__AI_DEBUG__.setMode("ai") to activate AI debug mode', 'color: #888;');
 
-})();
+  return window.__AI_DEBUG__;
+});
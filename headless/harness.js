@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+/**
+ * FrameTape Headless Harness
+ *
+ * Runs a FrameTape-instrumented page under jsdom with a manual frame driver,
+ * so app logic can be stepped, asserted and taped in Node without a browser.
+ * Requires jsdom (`npm install jsdom`); uses the `canvas` package when it is
+ * installed and a no-op 2D context otherwise.
+ *
+ *   const { createHarness } = require('./headless/harness');
+ *   const page = createHarness({ html: 'index.html', seed: 42 });
+ *   page.api.input.pressKey('ArrowUp');
+ *   page.step(30);                              // exactly 30 frames, then paused
+ *   assert.equal(page.api.getState().direction, 'up');
+ *   const hit = await page.runUntil('gameOver === true', { maxFrames: 2000 });
+ *   fs.writeFileSync('snake.tape.json', page.api.exportTape());
+ *   page.close();
+ *
+ * From a shell (exit code 1 when the page logged errors):
+ *
+ *   node headless/harness.js index.html --frames 300 --seed 42 --tape out.ndjson
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+
+const LIBRARY_PATH = path.join(__dirname, '..', 'frametape.js');
+const DEFAULT_MARKUP = '<!DOCTYPE html><html><head></head><body></body></html>';
+const FRAME_DELTA = 1000 / 60;
+const MAX_DRIVE_TICKS = 100000;
+
+function loadJsdom() {
+  try {
+    return require('jsdom');
+  } catch (e) {
+    throw new Error('The headless harness needs jsdom: npm install jsdom');
+  }
+}
+
+function hasCanvasPackage() {
+  try {
+    require.resolve('canvas');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Stands in for requestAnimationFrame. Callbacks queue up until tick() runs
+ * them, with timestamps that advance by frameDelta per tick.
+ */
+function createFrameDriver(window, frameDelta) {
+  let queue = [];
+  let nextId = 0;
+  let time = 0;
+
+  window.requestAnimationFrame = function (callback) {
+    queue.push({ id: ++nextId, callback });
+    return nextId;
+  };
+  window.cancelAnimationFrame = function (id) {
+    queue = queue.filter(entry => entry.id !== id);
+  };
+
+  return {
+    pending: () => queue.length,
+    time: () => time,
+    // Runs the callbacks queued so far; false if there were none
+    tick() {
+      if (queue.length === 0) return false;
+      const due = queue;
+      queue = [];
+      time += frameDelta;
+      due.forEach(entry => entry.callback(time));
+      return true;
+    },
+  };
+}
+
+/**
+ * Gives canvases a 2D context that accepts every call and draws nothing, so
+ * rendering code runs when the `canvas` package isn't installed. Pixel reads
+ * return transparent black.
+ */
+function stubCanvas(window) {
+  const contexts = new WeakMap();
+
+  class ImageDataStub {
+    constructor(widthOrData, height, maybeHeight) {
+      if (typeof widthOrData === 'number') {
+        this.width = widthOrData;
+        this.height = height;
+        this.data = new window.Uint8ClampedArray(widthOrData * height * 4);
+      } else {
+        this.data = widthOrData;
+        this.width = height;
+        this.height = maybeHeight || widthOrData.length / 4 / height;
+      }
+    }
+  }
+  if (!window.ImageData) window.ImageData = ImageDataStub;
+
+  const noop = function () {};
+  const gradient = { addColorStop: noop };
+
+  function createContext(canvas) {
+    const target = {
+      canvas,
+      fillStyle: '#000000',
+      strokeStyle: '#000000',
+      font: '10px sans-serif',
+      lineWidth: 1,
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      textAlign: 'start',
+      textBaseline: 'alphabetic',
+      getImageData: (x, y, w, h) => new window.ImageData(w, h),
+      createImageData: (w, h) => new window.ImageData(typeof w === 'number' ? w : w.width, typeof w === 'number' ? h : w.height),
+      measureText: text => ({ width: String(text).length * 6 }),
+      createLinearGradient: () => gradient,
+      createRadialGradient: () => gradient,
+      createPattern: () => ({}),
+      isPointInPath: () => false,
+      getLineDash: () => [],
+    };
+    return new Proxy(target, {
+      get: (obj, prop) => (prop in obj ? obj[prop] : noop),
+    });
+  }
+
+  window.HTMLCanvasElement.prototype.getContext = function (type) {
+    if (type !== '2d') return null;
+    if (!contexts.has(this)) contexts.set(this, createContext(this));
+    return contexts.get(this);
+  };
+  window.HTMLCanvasElement.prototype.toDataURL = function () {
+    return 'data:,';
+  };
+}
+
+// Classic scripts only; modules and other types are left alone
+function isClassicScript(script) {
+  const type = (script.getAttribute('type') || '').trim().toLowerCase();
+  return type === '' || type === 'text/javascript' || type === 'application/javascript';
+}
+
+/**
+ * Collects the scripts to run, in page order: { code, filename }. A script
+ * named frametape.js is replaced by `library`, and the library is added first
+ * when the page doesn't include it.
+ */
+function collectScripts(document, baseDir, options) {
+  const scripts = [];
+  let hasLibrary = false;
+  const library = { code: fs.readFileSync(options.library, 'utf8'), filename: options.library };
+
+  document.querySelectorAll('script').forEach(function (script) {
+    if (!isClassicScript(script)) return;
+    const src = script.getAttribute('src');
+    if (!src) {
+      scripts.push({ code: script.textContent, filename: options.htmlPath || 'inline-script.js' });
+      return;
+    }
+    if (path.basename(src.split('?')[0]) === 'frametape.js') {
+      hasLibrary = true;
+      scripts.push(library);
+      return;
+    }
+    if (/^[a-z]+:\/\//i.test(src)) {
+      options.warn(`Skipping external script ${src}`);
+      return;
+    }
+    const file = path.resolve(baseDir, src.split('?')[0]);
+    scripts.push({ code: fs.readFileSync(file, 'utf8'), filename: file });
+  });
+
+  if (!hasLibrary) scripts.unshift(library);
+  (options.scripts || []).forEach(function (script) {
+    if (typeof script === 'string') {
+      const file = path.resolve(script);
+      scripts.push({ code: fs.readFileSync(file, 'utf8'), filename: file });
+    } else {
+      scripts.push({ code: script.code, filename: script.filename || 'app-script.js' });
+    }
+  });
+  return { scripts, library };
+}
+
+/**
+ * Loads a page into jsdom with FrameTape and a manual frame driver.
+ *
+ * options:
+ *   html          path to an HTML file; its scripts run in order
+ *   markup        HTML string to use instead of a file
+ *   scripts       extra app scripts after the page's own (paths or { code, filename })
+ *   url           page URL (default: the file URL of `html`, or http://localhost/)
+ *   mode          'ai' (default) or 'user'
+ *   seed          random seed, set before any app script runs
+ *   virtualClock  follow frames with timers and time sources (default true)
+ *   frameDelta    ms per frame (default 1000/60)
+ *   before        function (window, api) called after the library, before the app
+ *   console       forward the page console to Node's (default false)
+ *   library       path to frametape.js (default: the one next to headless/)
+ */
+function createHarness(options) {
+  options = Object.assign({
+    mode: 'ai',
+    virtualClock: true,
+    frameDelta: FRAME_DELTA,
+    console: false,
+    library: LIBRARY_PATH,
+    warn: message => console.warn(`[harness] ${message}`),
+  }, options);
+
+  const { JSDOM, VirtualConsole } = loadJsdom();
+  const htmlPath = options.html ? path.resolve(options.html) : null;
+  const markup = options.markup || (htmlPath ? fs.readFileSync(htmlPath, 'utf8') : DEFAULT_MARKUP);
+  const baseDir = htmlPath ? path.dirname(htmlPath) : process.cwd();
+
+  const virtualConsole = new VirtualConsole();
+  if (options.console) virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+
+  const dom = new JSDOM(markup, {
+    url: options.url || (htmlPath ? pathToFileURL(htmlPath).href : 'http://localhost/'),
+    runScripts: 'outside-only',
+    virtualConsole,
+  });
+  const window = dom.window;
+  const context = dom.getInternalVMContext();
+  if (!hasCanvasPackage()) stubCanvas(window);
+  const driver = createFrameDriver(window, options.frameDelta);
+
+  // Like a browser: a throwing script is reported and the next one still runs
+  function runScript(script) {
+    try {
+      new vm.Script(script.code, { filename: script.filename }).runInContext(context);
+    } catch (e) {
+      window.dispatchEvent(new window.ErrorEvent('error', {
+        message: e && e.message ? e.message : String(e),
+        filename: script.filename,
+        error: e,
+      }));
+    }
+  }
+
+  const { scripts, library } = collectScripts(window.document, baseDir, Object.assign({ htmlPath }, options));
+  let configured = false;
+  scripts.forEach(function (script) {
+    runScript(script);
+    if (script !== library || configured) return;
+    configured = true;
+    const api = window.__AI_DEBUG__;
+    if (options.virtualClock) api.enableVirtualClock({ frameDelta: options.frameDelta });
+    if (options.seed !== undefined) api.setRandomSeed(options.seed);
+    api.setMode(options.mode);
+    if (options.before) options.before(window, api);
+  });
+
+  const api = window.__AI_DEBUG__;
+
+  // Runs native ticks until nothing more is requested (a step or runUntil
+  // finished and paused the page), or until `limit` ticks have run
+  function drive(limit) {
+    let ticks = 0;
+    while (ticks < limit && driver.tick()) ticks++;
+    return ticks;
+  }
+
+  return {
+    window,
+    document: window.document,
+    api,
+    driver,
+
+    /**
+     * Runs exactly n frames (fewer if the app stops requesting frames or a
+     * breakpoint pauses it). In 'ai' mode the page is paused afterwards.
+     */
+    step(n) {
+      n = n || 1;
+      const target = api.getFrameCount() + n;
+      if (api.getMode() === 'ai') api.stepSync(n);
+      while (api.getFrameCount() < target && driver.tick()) { /* next frame */ }
+      return { frame: api.getFrameCount(), state: api.getState() };
+    },
+
+    /**
+     * api.runUntil() with the frames driven: resolves once the condition
+     * holds or maxFrames have run. Requires 'ai' mode.
+     */
+    runUntil(condition, runOptions) {
+      const result = api.runUntil(condition, runOptions);
+      drive(((runOptions && runOptions.maxFrames) || 10000) + 1);
+      return result;
+    },
+
+    /** Drives frames until a Promise from the API (step, replaySession, ...) settles */
+    drive(promise, maxTicks) {
+      drive(maxTicks || MAX_DRIVE_TICKS);
+      return promise;
+    },
+
+    close() {
+      if (api && api.getBridgeStatus().connected) api.disconnectBridge();
+      window.close();
+    },
+  };
+}
+
+function parseArgs(argv) {
+  const args = { html: null, frames: 60, seed: undefined, tape: null, mode: 'ai', console: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--frames') args.frames = Number(argv[++i]);
+    else if (argv[i] === '--seed') args.seed = Number(argv[++i]);
+    else if (argv[i] === '--tape') args.tape = argv[++i];
+    else if (argv[i] === '--mode') args.mode = argv[++i];
+    else if (argv[i] === '--console') args.console = true;
+    else args.html = argv[i];
+  }
+  return args;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.html) {
+    console.error('Usage: node headless/harness.js <page.html> [--frames 60] [--seed n] [--mode ai|user] [--tape out.json|out.ndjson] [--console]');
+    process.exitCode = 2;
+  } else {
+    const page = createHarness({ html: args.html, seed: args.seed, mode: args.mode, console: args.console });
+    page.step(args.frames);
+    if (args.tape) {
+      const format = args.tape.endsWith('.ndjson') ? 'ndjson' : 'json';
+      fs.writeFileSync(args.tape, page.api.exportTape({ format }));
+    }
+    const summary = page.api.getSummary();
+    console.log(JSON.stringify(summary, null, 2));
+    if (page.api.getErrors().length > 0) process.exitCode = 1;
+    page.close();
+  }
+}
+
+module.exports = { createHarness, createFrameDriver, stubCanvas };
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * FrameTape Module Builds
+ *
+ * Writes the module builds of frametape.js. Neither instruments anything on
+ * import; call createFrameTape() for that.
+ *
+ *   node scripts/build.js [--out dist]
+ *
+ *   dist/frametape.mjs — ES module: export { createFrameTape }, default export
+ *   dist/frametape.cjs — CommonJS: module.exports = { createFrameTape }
+ *
+ * frametape.js itself stays a classic script (a <script> tag instruments the
+ * page on load) and can be require()d as it is; the .cjs copy is for
+ * packages with "type": "module".
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = path.join(__dirname, '..', 'frametape.js');
+
+// The source's wrapper exports to `module` when there is one instead of
+// instrumenting the page, so the ES module hands it a local one
+function esmBuild(source) {
+  return [
+    source,
+    '',
+    '// ES module build (scripts/build.js): the wrapper above fills this',
+    'export const { createFrameTape } = module.exports;',
+    'export default module.exports;',
+    '',
+  ].join('\n').replace(/^\(function \(root, instrument\) \{/m, 'const module = { exports: {} };\n$&');
+}
+
+function build(outDir) {
+  const source = fs.readFileSync(SOURCE, 'utf8');
+  fs.mkdirSync(outDir, { recursive: true });
+  const files = {
+    'frametape.mjs': esmBuild(source),
+    'frametape.cjs': source,
+  };
+  Object.keys(files).forEach(function (name) {
+    fs.writeFileSync(path.join(outDir, name), files[name]);
+  });
+  return Object.keys(files).map(name => path.join(outDir, name));
+}
+
+function parseArgs(argv) {
+  const args = { out: path.join(__dirname, '..', 'dist') };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = path.resolve(argv[++i]);
+  }
+  return args;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  build(args.out).forEach(file => console.log(`wrote ${path.relative(process.cwd(), file)}`));
+}
+
+module.exports = { build };